@@ -12,6 +12,13 @@ let openWindows = [];
 let windowIdCounter = 0;
 let topZ = 100;
 
+const undoStack = [];
+const redoStack = [];
+
+// The start page lists owners or shows the dashboard
+const START_VIEW_KEY = 'inventory-explorer.startView';
+let startView = 'owners';
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Start Page
 // ─────────────────────────────────────────────────────────────────────────────
@@ -20,6 +27,22 @@ function renderStartPage() {
     const container = document.getElementById('owners-container');
     container.innerHTML = '';
 
+    const diagBtn = document.getElementById('diagnostics-btn');
+    diagBtn.hidden = world.diagnostics.length === 0;
+    diagBtn.textContent = `⚠️ ${world.diagnostics.length} load problem${world.diagnostics.length !== 1 ? 's' : ''}`;
+
+    document.querySelectorAll('.start-view').forEach(btn =>
+        btn.classList.toggle('active', btn.dataset.view === startView));
+
+    if (world.owners.length === 0) {
+        container.innerHTML = '<div class="empty-hint">No owners loaded</div>';
+        return;
+    }
+    if (startView === 'dashboard') {
+        renderDashboard(container);
+        return;
+    }
+
     for (const owner of world.owners) {
         const card = el('div', 'owner-card');
 
@@ -27,31 +50,86 @@ function renderStartPage() {
         const hdr = el('div', 'owner-header');
         hdr.innerHTML = `<span class="owner-icon">${owner.type === 'group' ? '👥' : '👤'}</span>
             <span class="owner-name">${owner.id}</span>
-            <span class="owner-type">${owner.type}</span>`;
+            <span class="owner-type">${owner.type}</span>
+            <span class="owner-type" title="Default sharing for this inventory">${accessLabel(owner)}</span>
+            ${ownerSourceLabel(owner)}
+            <button class="owner-action" title="Find unused assets and broken references">🧹 Audit</button>`;
+        hdr.querySelector('.owner-action').addEventListener('click', () => openAssetWindow(`audit:${owner.id}`));
         card.appendChild(hdr);
 
         // Games section
         const gSec = el('div', 'owner-section');
         gSec.innerHTML = `<h3>Games <span class="badge">${owner.games.length}</span></h3>`;
-        const gList = el('div', 'start-grid');
-        for (const game of owner.games) {
-            gList.appendChild(makeStartTile(game.id, '🎮', game.name, `${game.places.length} place${game.places.length !== 1 ? 's' : ''}`));
-        }
-        gSec.appendChild(gList);
+        gSec.appendChild(makeStartGrid(owner.games, game =>
+            makeStartTile(game.id, '🎮', game.name, `${game.places.length} place${game.places.length !== 1 ? 's' : ''}`)));
         card.appendChild(gSec);
 
         // Inventory section
         const iSec = el('div', 'owner-section');
         iSec.innerHTML = `<h3>Inventory <span class="badge">${owner.inventory.length}</span></h3>`;
-        const iList = el('div', 'start-grid');
-        for (const asset of owner.inventory) {
-            iList.appendChild(makeStartTile(asset.id, Model.iconFor(asset), asset.name, asset.type));
-        }
-        iSec.appendChild(iList);
+        iSec.appendChild(makeStartGrid(owner.inventory, asset => {
+            const tile = makeStartTile(asset.id, Model.iconFor(asset), asset.name, asset.type);
+            makeAssetDraggable(tile, asset);
+            return tile;
+        }));
         card.appendChild(iSec);
 
         container.appendChild(card);
     }
+    applyLinkHighlights();
+}
+
+function ownerSourceLabel(owner) {
+    const source = dataSources.find(s => s.id === owner.sourceId);
+    if (!source) return '';
+    return `<span class="owner-type owner-source" title="Loaded from ${escapeHtml(source.url || source.name)}">${SOURCE_ICONS[source.kind]} ${escapeHtml(source.name)}</span>`;
+}
+
+// Clicks on any tile open it (tiles come and go as virtual grids scroll)
+function onStartTileClick(e) {
+    const tile = e.target.closest('.start-tile');
+    if (tile) openAssetWindow(tile.dataset.id);
+}
+
+const START_GRID_VIRTUAL_MIN = 60;  // tiles before a grid scrolls on its own
+const START_TILE_ROW_HEIGHT = 96;   // tile plus the grid gap
+const START_TILE_MIN_WIDTH = 120;
+const START_GRID_GAP = 8;
+
+// A grid of tiles; long ones become a fixed-height scroller that only
+// renders the visible rows of tiles
+function makeStartGrid(items, makeTile) {
+    if (items.length < START_GRID_VIRTUAL_MIN) {
+        const grid = el('div', 'start-grid');
+        for (const item of items) grid.appendChild(makeTile(item));
+        return grid;
+    }
+
+    const scroller = el('div', 'start-grid-scroller');
+    let perRow = 0;
+    const list = createVirtualList(scroller, {
+        rowHeight: START_TILE_ROW_HEIGHT,
+        renderRow: (chunk) => {
+            const row = el('div', 'start-grid');
+            row.style.gridTemplateColumns = `repeat(${perRow}, 1fr)`;
+            for (const item of chunk) row.appendChild(makeTile(item));
+            return row;
+        },
+        onResize: () => layout(),
+    });
+    scroller.appendChild(list.el);
+
+    function layout() {
+        const width = scroller.clientWidth || 960;
+        const n = Math.max(1, Math.floor((width + START_GRID_GAP) / (START_TILE_MIN_WIDTH + START_GRID_GAP)));
+        if (n === perRow) return;
+        perRow = n;
+        const chunks = [];
+        for (let i = 0; i < items.length; i += perRow) chunks.push(items.slice(i, i + perRow));
+        list.setRows(chunks);
+    }
+    layout();
+    return scroller;
 }
 
 function makeStartTile(id, icon, name, subtitle) {
@@ -59,10 +137,209 @@ function makeStartTile(id, icon, name, subtitle) {
     tile.innerHTML = `<span class="tile-icon">${icon}</span>
         <span class="tile-name">${name}</span>
         <span class="tile-sub">${subtitle}</span>`;
-    tile.addEventListener('click', () => openAssetWindow(id));
+    tile.dataset.id = id;
+    tile.classList.toggle('link-highlight', linkedAssetIds().has(id));
     return tile;
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Dashboard
+// ─────────────────────────────────────────────────────────────────────────────
+// Counts from World.getStatistics, rebuilt with the start page on every
+// change. Each count carries the search query (see World.search) for the
+// nodes behind it and opens them in an items window; names open the game,
+// place or asset itself.
+
+const DASHBOARD_RANK_SIZE = 8;      // assets in the most and least referenced lists
+
+function renderDashboard(container) {
+    const stats = world.getStatistics();
+    const dash = el('div', 'dashboard');
+    dash.appendChild(dashboardTotals(stats));
+    dash.appendChild(dashboardClasses(stats));
+    dash.appendChild(dashboardAssetTypes(stats));
+    dash.appendChild(dashboardRankings(stats));
+
+    dash.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-query], [data-id]');
+        if (!target) return;
+        if (target.dataset.query) openAssetWindow(`items:${target.dataset.query}`);
+        else openAssetWindow(target.dataset.id);
+    });
+    container.appendChild(dash);
+}
+
+// Join query parts, skipping empty ones (the all-owners scope)
+function dashQuery(...parts) {
+    return parts.filter(Boolean).join(' ');
+}
+
+// A table cell with a count that opens its nodes; `heat` (0-1) shades it
+function countCell(n, query, heat = null) {
+    if (!n) return '<td class="dash-count dash-zero">·</td>';
+    const shade = heat === null ? '' : ` style="--heat: ${heat.toFixed(2)}"`;
+    return `<td class="dash-count" data-query="${escapeHtml(query)}" title="${escapeHtml(itemsTitle(query))}"${shade}>${n}</td>`;
+}
+
+// Filled part of the bar opens the referencing instances, the rest the others
+function shareBar(part, whole, scope) {
+    const pct = whole ? Math.round((part / whole) * 100) : 0;
+    return `<span class="share-bar" title="${part} of ${whole} instances reference inventory">
+            <span class="share-fill" style="width: ${pct}%" data-query="${escapeHtml(dashQuery('refs:inventory', scope))}"></span>
+            <span class="share-rest" data-query="${escapeHtml(dashQuery('refs:none', scope))}"></span>
+        </span>
+        <span class="share-label">${pct}%</span>`;
+}
+
+function ownerLabel(owner) {
+    return `${Model.ICONS[owner.type] || ''} ${escapeHtml(owner.id)}`;
+}
+
+function dashboardTotals({ owners, totals }) {
+    const card = el('div', 'owner-card dashboard-card');
+    const tile = (n, label, query) => `<div class="stat-tile" data-query="${query}">
+            <span class="stat-value">${n}</span>
+            <span class="stat-label">${label}${n !== 1 ? 's' : ''}</span>
+        </div>`;
+    const row = (label, s, scope, games, places) => `<tr>
+            ${label}
+            ${countCell(games, dashQuery('kind:game', scope))}
+            ${countCell(places, dashQuery('kind:place', scope))}
+            ${countCell(s.instances, dashQuery('kind:instance', scope))}
+            ${countCell(s.assets, dashQuery('kind:asset', scope))}
+            ${countCell(s.referencing, dashQuery('refs:inventory', scope))}
+            <td class="dash-share">${shareBar(s.referencing, s.instances, scope)}</td>
+            ${countCell(s.crossOwner, dashQuery('refs:other', scope))}
+        </tr>`;
+    const ownerRow = (s) => row(`<th data-query="owner:${escapeHtml(s.owner.id)}">${ownerLabel(s.owner)}</th>`, s,
+        `owner:${s.owner.id}`, s.games.length, s.games.reduce((n, g) => n + g.places.length, 0));
+
+    card.innerHTML = `
+        <div class="owner-section">
+            <h3>All owners</h3>
+            <div class="stat-tiles">
+                ${tile(totals.owners, 'Owner', 'kind:owner')}
+                ${tile(totals.games, 'Game', 'kind:game')}
+                ${tile(totals.places, 'Place', 'kind:place')}
+                ${tile(totals.instances, 'Instance', 'kind:instance')}
+                ${tile(totals.assets, 'Asset', 'kind:asset')}
+            </div>
+            <div class="dash-summary">
+                Instances referencing inventory ${shareBar(totals.referencing, totals.instances, '')}
+                <span class="dash-link" data-query="refs:other">${totals.crossOwner} use another owner's assets</span>
+            </div>
+        </div>
+        <div class="owner-section">
+            <h3>By owner</h3>
+            <table class="dash-table">
+                <thead><tr>
+                    <th></th><th>Games</th><th>Places</th><th>Instances</th><th>Assets</th>
+                    <th colspan="2">Reference inventory</th><th title="Instances using another owner's assets">Cross-owner</th>
+                </tr></thead>
+                <tbody>
+                    ${owners.map(ownerRow).join('')}
+                </tbody>
+                <tfoot>${row('<th>All owners</th>', totals, '', totals.games, totals.places)}</tfoot>
+            </table>
+        </div>`;
+    return card;
+}
+
+function dashboardClasses({ owners, totals }) {
+    const card = el('div', 'owner-card dashboard-card');
+    const classes = Object.keys(totals.byClass)
+        .sort((a, b) => (totals.byClass[b] - totals.byClass[a]) || a.localeCompare(b));
+
+    // Places shade against the busiest place cell
+    let max = 1;
+    for (const o of owners) for (const g of o.games) for (const p of g.places) {
+        for (const n of Object.values(p.byClass)) max = Math.max(max, n);
+    }
+    const row = (className, label, s, scope, shaded) => `<tr class="${className}">
+            ${label}
+            ${classes.map(c => countCell(s.byClass[c] || 0, dashQuery(`class:${c}`, scope), shaded ? (s.byClass[c] || 0) / max : null)).join('')}
+            ${countCell(s.instances, dashQuery('kind:instance', scope))}
+        </tr>`;
+
+    const body = owners.map(o => [
+        row('dash-owner', `<th data-query="owner:${escapeHtml(o.owner.id)}">${ownerLabel(o.owner)}</th>`, o, `owner:${o.owner.id}`, false),
+        ...o.games.map(g => [
+            row('dash-game', `<th data-id="${escapeHtml(g.game.id)}">🎮 ${escapeHtml(g.game.name)}</th>`, g, `game:${g.game.id}`, false),
+            ...g.places.map(p => row('dash-place', `<th data-id="${escapeHtml(p.place.id)}">🗺️ ${escapeHtml(p.place.name)}</th>`, p, `place:${p.place.id}`, true)),
+        ].join('')),
+    ].join('')).join('');
+
+    card.innerHTML = `
+        <div class="owner-section">
+            <h3>Instances by class <span class="badge">${totals.instances}</span></h3>
+            ${classes.length === 0 ? '<div class="empty-hint">No instances</div>' : `
+            <div class="dash-scroll">
+                <table class="dash-table">
+                    <thead><tr><th></th>${classes.map(c => `<th>${escapeHtml(c)}</th>`).join('')}<th>All</th></tr></thead>
+                    <tbody>${body}</tbody>
+                    <tfoot>${row('', '<th>All owners</th>', totals, '', false)}</tfoot>
+                </table>
+            </div>`}
+        </div>`;
+    return card;
+}
+
+function dashboardAssetTypes({ owners, totals }) {
+    const card = el('div', 'owner-card dashboard-card');
+    const types = [...INVENTORY_TYPES, ...Object.keys(totals.assetsByType).filter(t => !INVENTORY_TYPES.includes(t))];
+    const max = Math.max(1, ...owners.flatMap(o => Object.values(o.assetsByType)));
+    const row = (label, s, scope, shaded) => `<tr>
+            ${label}
+            ${types.map(t => countCell(s.assetsByType[t] || 0, dashQuery('kind:asset', `type:${t}`, scope), shaded ? (s.assetsByType[t] || 0) / max : null)).join('')}
+            ${countCell(s.assets, dashQuery('kind:asset', scope))}
+        </tr>`;
+
+    card.innerHTML = `
+        <div class="owner-section">
+            <h3>Assets by type <span class="badge">${totals.assets}</span></h3>
+            <table class="dash-table">
+                <thead><tr><th></th>${types.map(t => `<th>${Model.ICONS[t] || ''} ${escapeHtml(t)}</th>`).join('')}<th>All</th></tr></thead>
+                <tbody>${owners.map(o => row(`<th data-query="owner:${escapeHtml(o.owner.id)}">${ownerLabel(o.owner)}</th>`, o, `owner:${o.owner.id}`, true)).join('')}</tbody>
+                <tfoot>${row('<th>All owners</th>', totals, '', false)}</tfoot>
+            </table>
+        </div>`;
+    return card;
+}
+
+function dashboardRankings({ assets }) {
+    const card = el('div', 'owner-card dashboard-card');
+    const label = (asset) => asset.name || asset.id;
+    const most = assets.slice(0, DASHBOARD_RANK_SIZE);
+    // From the rest, so small inventories don't list an asset twice
+    const least = assets.slice(most.length).slice(-DASHBOARD_RANK_SIZE)
+        .sort((a, b) => (a.total - b.total) || (a.direct - b.direct) || label(a.asset).localeCompare(label(b.asset)));
+    const max = Math.max(1, ...most.map(a => a.total));
+
+    const list = (entries, empty) => entries.length === 0 ? `<div class="empty-hint">${empty}</div>`
+        : entries.map(({ asset, direct, total }) => `
+            <div class="list-row dash-rank" data-id="${escapeHtml(asset.id)}"
+                title="${direct} direct${total > direct ? `, ${total - direct} through packages` : ''}">
+                <span class="row-icon">${Model.iconFor(asset)}</span>
+                <span class="row-name">${escapeHtml(label(asset))}</span>
+                <span class="row-detail">${escapeHtml(asset.ownerId)}</span>
+                <span class="rank-bar"><span style="width: ${(total / max) * 100}%"></span></span>
+                <span class="rank-count">${total}</span>
+            </div>`).join('');
+
+    card.innerHTML = `
+        <div class="dash-columns">
+            <div class="owner-section">
+                <h3>Most referenced</h3>
+                ${list(most, 'No inventory assets')}
+            </div>
+            <div class="owner-section">
+                <h3>Least referenced</h3>
+                ${list(least, most.length ? 'Every asset is listed as most referenced' : 'No inventory assets')}
+            </div>
+        </div>`;
+    return card;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Window Management
 // ─────────────────────────────────────────────────────────────────────────────
@@ -71,14 +348,15 @@ function openAssetWindow(id) {
     // Don't duplicate
     const existing = openWindows.find(w => w.assetId === id);
     if (existing) {
+        if (existing.minimized) restoreWindow(existing);
         bringToFront(existing);
         existing.el.classList.add('window-flash');
         setTimeout(() => existing.el.classList.remove('window-flash'), 300);
-        return;
+        return existing;
     }
 
-    const node = world.get(id);
-    if (!node) return;
+    const node = world.get(id) || toolNodeFor(id);
+    if (!node) return null;
 
     const winId = ++windowIdCounter;
     const offset = (openWindows.length % 8) * 28;
@@ -93,19 +371,83 @@ function openAssetWindow(id) {
         height: windowSizeFor(node).h,
         selection: null,          // selected child id within this window
         onSelectionChange: [],    // callbacks
+        collapsed: new Set(),     // collapsed instance ids in the tree panel
+        linked: true,             // takes part in linked selection
+        minimized: false,
+        maximized: false,
+        snapped: null,            // snap zone name while tiled to an edge
+        restoreRect: null,        // geometry to return to from maximize/snap
     };
 
     openWindows.push(win);
     renderWindow(win);
+    renderTaskbar();
+    scheduleWorkspaceSave();
+    noteNavigation(true);
+    return win;
+}
+
+// Open the place containing an instance with that instance selected.
+function revealInstance(instanceId) {
+    const inst = world.get(instanceId);
+    if (!inst || inst.kind !== 'instance') return null;
+    const win = openAssetWindow(inst.placeId);
+    if (win) setWindowSelection(win, inst.id);
+    return win;
+}
+
+// Tool windows (audit, ...) have no World node of their own. They are keyed
+// by `<tool>:<arg>` ids so they dedupe and reopen like any other window.
+function toolNodeFor(id) {
+    // Only the first ':' separates the tool; items queries hold more
+    const sep = id.indexOf(':');
+    if (sep === -1) return null;
+    const tool = id.slice(0, sep);
+    const arg = id.slice(sep + 1);
+    switch (tool) {
+        case 'audit': {
+            const ownerId = arg === '*' ? null : arg;
+            if (ownerId && !world.get(ownerId)) return null;
+            return { kind: 'audit', id, ownerId, name: ownerId ? `Audit · ${ownerId}` : 'Audit · All owners' };
+        }
+        case 'diagnostics':
+            return { kind: 'diagnostics', id: 'diagnostics:', name: 'Load diagnostics' };
+        case 'review':
+            return { kind: 'review', id: 'review:', name: 'Review changes' };
+        case 'graph':
+            return { kind: 'graph', id: 'graph:', name: 'Reference graph' };
+        case 'duplicates':
+            return { kind: 'duplicates', id: 'duplicates:', name: 'Duplicate assets' };
+        case 'replace': {
+            const asset = world.get(arg);
+            if (!asset || asset.kind !== 'asset') return null;
+            return { kind: 'replace', id, assetId: asset.id, name: `Replace · ${asset.name}` };
+        }
+        case 'items':
+            if (!arg.trim()) return null;
+            return { kind: 'items', id, query: arg, name: itemsTitle(arg) };
+        default: return null;
+    }
 }
 
 function windowSizeFor(node) {
     switch (node.kind) {
         case 'game': return { w: 540, h: 370 };
+        case 'audit': return { w: 900, h: 420 };
+        case 'diagnostics': return { w: 620, h: 360 };
+        case 'review': return { w: 560, h: 420 };
+        case 'graph': return { w: 920, h: 540 };
+        case 'replace': return { w: 600, h: 440 };
+        case 'duplicates': return { w: 760, h: 480 };
+        case 'items': return { w: 520, h: 400 };
         case 'place': return { w: 720, h: 420 };
-        case 'asset':
-            if (node.type === 'package') return { w: 400, h: 320 };
-            return { w: 380, h: 340 };
+        case 'asset': {
+            // A history panel takes a column of its own
+            const extra = world.latestVersion(node) ? 240 : 0;
+            if (node.type === 'package') return { w: 860 + extra, h: 360 };
+            if (Model.MEDIA_TYPES.includes(node.type)) return { w: 380 + extra, h: 440 };
+            return { w: 380 + extra, h: 340 };
+        }
         default: return { w: 400, h: 300 };
     }
 }
@@ -113,17 +455,62 @@ function windowSizeFor(node) {
 function closeWindow(winId) {
     const idx = openWindows.findIndex(w => w.id === winId);
     if (idx === -1) return;
+    stopAudio(openWindows[idx]);
     openWindows[idx].el.remove();
     openWindows.splice(idx, 1);
+    renderTaskbar();
+    scheduleWorkspaceSave();
+    noteNavigation(true);
 }
 
 function bringToFront(win) {
-    win.el.style.zIndex = ++topZ;
+    win.el.querySelector('.titlebar-updated').hidden = true;
+    win.z = ++topZ;
+    win.el.style.zIndex = win.z;
+    renderTaskbar();
+    scheduleWorkspaceSave();
+    noteNavigation(false);
 }
 
-function setWindowSelection(win, childId) {
+// `fromLink` marks selections received from another window, which are not
+// published again
+function setWindowSelection(win, childId, fromLink = false) {
+    const changed = win.selection !== childId;
     win.selection = childId;
     for (const cb of win.onSelectionChange) cb();
+    scheduleWorkspaceSave();
+    noteNavigation(true);
+    if (changed && win.linked && !fromLink && !restoringWorkspace && !applyingRoute) publishSelection(win, childId);
+}
+
+function applyWindowGeometry(win) {
+    win.el.style.left = `${win.x}px`;
+    win.el.style.top = `${win.y}px`;
+    win.el.style.width = `${win.width}px`;
+    win.el.style.height = `${win.height}px`;
+    win.el.style.zIndex = win.z;
+}
+
+// Rebuild a window's panels in place, keeping selection, scroll positions
+// and the focused editor so an edit doesn't throw the user out of context.
+function refreshWindow(win) {
+    const oldBody = win.el.querySelector('.window-body');
+    const scrolls = Array.from(oldBody.querySelectorAll('.panel-body'), b => b.scrollTop);
+    const focusKey = oldBody.contains(document.activeElement) ? document.activeElement.dataset.editKey : null;
+
+    win.onSelectionChange = [];
+    const body = el('div', 'window-body');
+    buildPanels(body, win);
+    oldBody.replaceWith(body);
+    win.el.querySelector('.titlebar-name').textContent = titleName(win.node);
+    renderTaskbar();
+
+    setWindowSelection(win, win.selection);
+    body.querySelectorAll('.panel-body').forEach((b, i) => { b.scrollTop = scrolls[i] || 0; });
+    if (focusKey) {
+        const input = body.querySelector(`[data-edit-key="${focusKey}"]`);
+        if (input) input.focus();
+    }
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -133,11 +520,9 @@ function setWindowSelection(win, childId) {
 function renderWindow(win) {
     const node = win.node;
     const winEl = el('div', 'window');
-    winEl.style.left = `${win.x}px`;
-    winEl.style.top = `${win.y}px`;
-    winEl.style.width = `${win.width}px`;
-    winEl.style.height = `${win.height}px`;
-    winEl.style.zIndex = ++topZ;
+    win.el = winEl;
+    win.z = ++topZ;
+    applyWindowGeometry(win);
 
     // Title bar
     const titleBar = el('div', 'window-titlebar');
@@ -147,14 +532,36 @@ function renderWindow(win) {
             <span class="titlebar-icon">${titleIcon(node)}</span>
             <span class="titlebar-name">${titleName(node)}</span>
             <span class="titlebar-kind">${kindLabel}</span>
+            <span class="titlebar-updated" hidden>● updated</span>
         </div>
         <div class="titlebar-controls">
+            ${world.get(node.id) ? '<span class="win-link" title="Unlink selection">🔗</span>' : ''}
+            <span class="win-btn win-min" title="Minimize">&minus;</span>
+            <span class="win-btn win-max" title="Maximize">+</span>
             <span class="win-btn win-close" title="Close">&times;</span>
         </div>`;
     titleBar.querySelector('.win-close').addEventListener('click', (e) => {
         e.stopPropagation();
         closeWindow(win.id);
     });
+    const linkBtn = titleBar.querySelector('.win-link');
+    if (linkBtn) {
+        linkBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            setWindowLinked(win, !win.linked);
+        });
+    }
+    titleBar.querySelector('.win-min').addEventListener('click', (e) => {
+        e.stopPropagation();
+        minimizeWindow(win);
+    });
+    titleBar.querySelector('.win-max').addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleMaximize(win);
+    });
+    titleBar.addEventListener('dblclick', (e) => {
+        if (!e.target.closest('.win-btn, .win-link')) toggleMaximize(win);
+    });
     winEl.appendChild(titleBar);
 
     // Body: panels laid out depending on asset kind
@@ -170,12 +577,18 @@ function renderWindow(win) {
     winEl.addEventListener('mousedown', () => bringToFront(win));
 
     document.getElementById('windows-layer').appendChild(winEl);
-    win.el = winEl;
 }
 
 function titleIcon(node) {
     if (node.kind === 'game') return '🎮';
     if (node.kind === 'place') return '🗺️';
+    if (node.kind === 'audit') return '🧹';
+    if (node.kind === 'diagnostics') return '⚠️';
+    if (node.kind === 'review') return '💾';
+    if (node.kind === 'graph') return '🕸️';
+    if (node.kind === 'replace') return '⇄';
+    if (node.kind === 'duplicates') return '🪞';
+    if (node.kind === 'items') return '📋';
     return Model.iconFor(node);
 }
 
@@ -207,8 +620,10 @@ function buildPanels(body, win) {
         case 'asset':
             switch (node.type) {
                 case 'package':
-                    body.classList.add('layout-2col');
+                    body.classList.add('layout-package');
                     body.appendChild(panelAssetPreview(win));
+                    body.appendChild(panelPackageContents(win));
+                    body.appendChild(panelDependencies(win));
                     body.appendChild(panelUsages(win));
                     break;
                 case 'mesh':
@@ -230,6 +645,43 @@ function buildPanels(body, win) {
                     body.appendChild(panelAssetPreview(win));
                     break;
             }
+            if (world.latestVersion(node)) {
+                body.classList.add('with-history');
+                body.appendChild(panelHistory(win));
+            }
+            break;
+
+        case 'audit': {
+            body.classList.add('layout-audit');
+            const report = world.audit(node.ownerId);
+            body.appendChild(panelUnusedAssets(win, report));
+            body.appendChild(panelBrokenRefs(win, report));
+            body.appendChild(panelAccessViolations(win, report));
+            break;
+        }
+
+        case 'diagnostics':
+            body.appendChild(panelDiagnostics(win));
+            break;
+
+        case 'review':
+            body.appendChild(panelChanges(win));
+            break;
+
+        case 'graph':
+            body.appendChild(panelReferenceGraph(win));
+            break;
+
+        case 'replace':
+            body.appendChild(panelReplaceReferences(win));
+            break;
+
+        case 'duplicates':
+            body.appendChild(panelDuplicates(win));
+            break;
+
+        case 'items':
+            body.appendChild(panelItems(win));
             break;
 
         default:
@@ -243,29 +695,40 @@ function buildPanels(body, win) {
 function panelPlacesList(win) {
     const game = win.node;
     const panel = makePanel('Places', '🗺️');
+    const body = panel.querySelector('.panel-body');
     const list = el('div', 'panel-list');
+    addPanelAction(panel, '⤒ Import', 'Import a .rbxmx / .rbxlx file as a new place', () => pickRobloxFile(game.id));
+
+    const rows = createVirtualList(body, {
+        rowHeight: LIST_ROW_HEIGHT,
+        renderRow: (place) => {
+            const row = el('div', 'list-row');
+            row.innerHTML = `<span class="row-icon">🗺️</span>
+                <span class="row-name">${place.name}</span>
+                <span class="row-detail">${place.instances.length} instances</span>
+                <span class="row-open" title="Open">&#x2197;</span>`;
+            row.dataset.itemId = place.id;
+            row.classList.toggle('selected', place.id === win.selection);
+            return row;
+        },
+    });
+    list.appendChild(rows.el);
+    body.appendChild(list);
+    rows.setRows(game.places);
 
-    for (const place of game.places) {
-        const row = el('div', 'list-row');
-        row.innerHTML = `<span class="row-icon">🗺️</span>
-            <span class="row-name">${place.name}</span>
-            <span class="row-detail">${place.instances.length} instances</span>
-            <span class="row-open" title="Open">&#x2197;</span>`;
-        row.addEventListener('click', () => setWindowSelection(win, place.id));
-        row.querySelector('.row-open').addEventListener('click', (e) => {
-            e.stopPropagation();
-            openAssetWindow(place.id);
-        });
-        row.dataset.itemId = place.id;
-        list.appendChild(row);
-    }
+    list.addEventListener('click', (e) => {
+        const row = e.target.closest('.list-row');
+        if (!row) return;
+        if (e.target.closest('.row-open')) openAssetWindow(row.dataset.itemId);
+        else setWindowSelection(win, row.dataset.itemId);
+    });
 
     win.onSelectionChange.push(() => {
+        rows.scrollToIndex(game.places.findIndex(p => p.id === win.selection));
         list.querySelectorAll('.list-row').forEach(r =>
             r.classList.toggle('selected', r.dataset.itemId === win.selection));
     });
 
-    panel.querySelector('.panel-body').appendChild(list);
     return panel;
 }
 
@@ -280,11 +743,12 @@ function panelGameProperties(win) {
     props.innerHTML = `
         <div class="prop-group">
             <div class="prop-group-title">Game Info</div>
-            ${propRow('Name', game.name)}
+            ${editRow('Name', game, 'name')}
             ${propRow('ID', game.id)}
             ${propRow('Owner', game.ownerId)}
             ${propRow('Places', game.places.length)}
         </div>`;
+    wireEditors(props);
     body.appendChild(props);
 
     // Show selected place details
@@ -298,15 +762,16 @@ function panelGameProperties(win) {
         detail.innerHTML = `
             <div class="prop-group">
                 <div class="prop-group-title">Selected Place</div>
-                ${propRow('Name', place.name)}
+                ${editRow('Name', place, 'name')}
                 ${propRow('ID', place.id)}
                 ${propRow('Instances', place.instances.length)}
             </div>
             <button class="open-btn" data-id="${place.id}">Open Place &rarr;</button>`;
         detail.querySelector('.open-btn').addEventListener('click', () => openAssetWindow(place.id));
+        wireEditors(detail);
     });
     // trigger initial
-    setTimeout(() => setWindowSelection(win, null), 0);
+    setTimeout(() => setWindowSelection(win, win.selection), 0);
 
     return panel;
 }
@@ -320,56 +785,141 @@ function panelInstanceTree(win) {
     body.classList.add('tree-panel');
 
     const tree = el('div', 'instance-tree');
-    for (const inst of place.instances) {
-        tree.appendChild(makeInstanceRow(inst, win, 0));
-    }
+    const rows = createVirtualList(body, {
+        rowHeight: TREE_ROW_HEIGHT,
+        renderRow: ({ inst, depth }) => makeInstanceRow(inst, win, depth),
+    });
+    tree.appendChild(rows.el);
     body.appendChild(tree);
+    const update = () => rows.setRows(flattenInstanceTree(place.children, win.collapsed));
+    update();
+
+    // One handler for every row: the twisty only toggles, badges open their
+    // asset, anywhere else selects
+    tree.addEventListener('click', (e) => {
+        const row = e.target.closest('.tree-row');
+        if (!row) return;
+        const badge = e.target.closest('.ref-badge');
+        if (badge) {
+            openAssetWindow(badge.dataset.refId);
+            return;
+        }
+        const id = row.dataset.itemId;
+        if (e.target.closest('.tree-twisty')) {
+            if (win.collapsed.has(id)) win.collapsed.delete(id);
+            else win.collapsed.add(id);
+            update();
+            return;
+        }
+        setWindowSelection(win, id);
+    });
+
+    // Dropping an inventory asset on a container row nests the new instance
+    // inside it; on any other row it becomes that row's sibling
+    acceptAssetDrops(body, (assetId, e) => {
+        const row = e.target.closest('.tree-row');
+        const target = row ? world.get(row.dataset.itemId) : null;
+        const parentId = !target ? null
+            : CONTAINER_CLASSES.includes(target.class) ? target.id : target.parentId;
+        dropAssetIntoPlace(win, assetId, { parentId });
+    });
+
+    // Reveal the selected instance: expand its ancestors and scroll to it
+    win.onSelectionChange.push(() => {
+        const inst = win.selection ? world.get(win.selection) : null;
+        if (inst && inst.placeId === place.id) {
+            const expanded = world.getAncestors(inst).filter(a => win.collapsed.delete(a.id));
+            if (expanded.length) update();
+            rows.scrollToIndex(rows.rows.findIndex(r => r.inst === inst));
+        }
+        tree.querySelectorAll('.tree-row').forEach(r =>
+            r.classList.toggle('selected', r.dataset.itemId === win.selection));
+    });
+
+    addPanelAction(panel, '⊞', 'Expand all', () => {
+        win.collapsed.clear();
+        update();
+    });
+    addPanelAction(panel, '⊟', 'Collapse all', () => {
+        for (const inst of place.instances) {
+            if (inst.children.length) win.collapsed.add(inst.id);
+        }
+        update();
+    });
 
     return panel;
 }
 
+// The rows an instance tree shows, depth first, skipping the children of
+// collapsed instances: `[{ inst, depth }]`
+function flattenInstanceTree(roots, collapsed) {
+    const rows = [];
+    const visit = (inst, depth) => {
+        rows.push({ inst, depth });
+        if (!collapsed.has(inst.id)) inst.children.forEach(c => visit(c, depth + 1));
+    };
+    roots.forEach(inst => visit(inst, 0));
+    return rows;
+}
+
 function makeInstanceRow(inst, win, depth) {
     const row = el('div', 'tree-row');
     row.style.paddingLeft = `${8 + depth * 16}px`;
     row.dataset.itemId = inst.id;
+    row.classList.toggle('collapsed', inst.children.length > 0 && win.collapsed.has(inst.id));
+    row.classList.toggle('selected', win.selection === inst.id);
 
     // Build content with reference links
     let refs = '';
-    if (inst.meshId) refs += refBadge(inst.meshId, 'mesh');
-    if (inst.textureId) refs += refBadge(inst.textureId, 'image');
-    if (inst.imageId) refs += refBadge(inst.imageId, 'image');
-    if (inst.packageId) refs += refBadge(inst.packageId, 'package');
+    if (inst.meshId) refs += refBadge(world.getRef(inst, 'meshId'), 'mesh', inst.ownerId);
+    if (inst.textureId) refs += refBadge(world.getRef(inst, 'textureId'), 'image', inst.ownerId);
+    if (inst.imageId) refs += refBadge(world.getRef(inst, 'imageId'), 'image', inst.ownerId);
+    if (inst.packageId) refs += refBadge(world.getRef(inst, 'packageId'), 'package', inst.ownerId);
 
-    row.innerHTML = `<span class="row-icon">${Model.iconFor(inst)}</span>
+    const twisty = inst.children.length > 0 ? '<span class="tree-twisty"></span>' : '<span class="tree-twisty-spacer"></span>';
+
+    row.innerHTML = `${twisty}<span class="row-icon">${Model.iconFor(inst)}</span>
         <span class="row-name">${inst.name}</span>
         <span class="row-class">${inst.class}</span>
         <span class="row-refs">${refs}</span>`;
-
-    // Click row to select
-    row.addEventListener('click', (e) => {
-        if (e.target.closest('.ref-badge')) return;
-        setWindowSelection(win, inst.id);
-    });
-
-    // Wire up reference badges
-    row.querySelectorAll('.ref-badge').forEach(badge => {
-        badge.addEventListener('click', (e) => {
-            e.stopPropagation();
-            openAssetWindow(badge.dataset.refId);
-        });
-    });
-
-    win.onSelectionChange.push(() => {
-        row.classList.toggle('selected', win.selection === inst.id);
-    });
-
     return row;
 }
 
-function refBadge(assetId, type) {
+// `ref` is a reference value, pin included ("pkg1@3"). Pass the using
+// owner's id to flag references the asset's sharing forbids
+function refBadge(ref, type, userId = null) {
+    const { id: assetId, version } = Model.parseRef(ref);
     const asset = world.get(assetId);
-    const name = asset ? asset.name : assetId;
-    return `<span class="ref-badge ref-${type}" data-ref-id="${assetId}" title="Open ${name}">${Model.ICONS[type] || '📎'} ${name}</span>`;
+    const name = escapeHtml(asset ? asset.name : assetId);
+    const tag = version ? versionTag(asset, version) : '';
+    if (userId && !world.canUse(userId, assetId)) {
+        return `<span class="ref-badge ref-${type} ref-violation" data-ref-id="${escapeHtml(assetId)}"
+            title="${name} (${escapeHtml(asset.ownerId)}) is not shared with ${escapeHtml(userId)}">⚠️ ${name}${tag}</span>`;
+    }
+    return `<span class="ref-badge ref-${type}" data-ref-id="${escapeHtml(assetId)}" title="Open ${name}">${Model.ICONS[type] || '📎'} ${name}${tag}</span>`;
+}
+
+// Which version of `asset` a reference uses: "v2" when pinned (marked
+// outdated once a newer version exists), "latest" when it follows the
+// asset. Nothing for assets without a version history.
+function versionTag(asset, version) {
+    const latest = asset ? world.latestVersion(asset) : null;
+    if (!version) return latest ? '<span class="version-tag" title="Follows the latest version">latest</span>' : '';
+    if (!latest || !asset.versions.some(v => v && v.version === version)) {
+        return `<span class="version-tag version-unknown" title="${escapeHtml(asset ? asset.name : 'The asset')} has no version ${version}">v${version}?</span>`;
+    }
+    if (version < latest) {
+        return `<span class="version-tag version-outdated" title="Pinned to v${version}; the latest is v${latest}">v${version} · outdated</span>`;
+    }
+    return `<span class="version-tag" title="Pinned to the latest version">v${version}</span>`;
+}
+
+const ACCESS_ICONS = { private: '🔒', shared: '🤝', public: '🌐' };
+
+function accessLabel(node) {
+    const { access, sharedWith } = world.getAccess(node);
+    if (access === 'shared') return `${ACCESS_ICONS.shared} shared with ${escapeHtml(sharedWith.join(', ')) || 'nobody'}`;
+    return `${ACCESS_ICONS[access]} ${escapeHtml(access)}`;
 }
 
 // ─── Panel: Viewport (for place windows) ────────────────────────────────────
@@ -380,62 +930,23 @@ function panelViewport(win) {
     const body = panel.querySelector('.panel-body');
     body.classList.add('viewport-body');
 
-    const canvas = el('div', 'viewport-canvas');
-
-    // Grid floor
-    const grid = el('div', 'viewport-grid');
-    canvas.appendChild(grid);
-
-    // Render instances as faux 3D objects
-    const scale = 2.5;
-    const cx = 200, cy = 180;
-
-    for (const inst of place.instances) {
-        if (inst.class === 'Script' || inst.class === 'LocalScript') continue; // don't show scripts in viewport
-
-        const objEl = el('div', 'viewport-obj');
-        objEl.dataset.itemId = inst.id;
-
-        const pos = inst.position || [0, 0, 0];
-        const sx = cx + (pos[0] - pos[2] * 0.5) * scale;
-        const sy = cy + (pos[2] * 0.4 - pos[1]) * scale;
-
-        objEl.style.left = `${sx}px`;
-        objEl.style.top = `${sy}px`;
-
-        // Size hint
-        if (inst.size) {
-            const w = Math.max(30, inst.size[0] * scale * 0.5);
-            const h = Math.max(20, inst.size[1] * scale * 2);
-            objEl.style.width = `${Math.min(w, 120)}px`;
-            objEl.style.minHeight = `${Math.min(h, 60)}px`;
-            objEl.style.opacity = '0.7';
-        }
-
-        // Color tint
-        if (inst.color) {
-            const [r, g, b] = inst.color;
-            objEl.style.background = `rgba(${r * 255 | 0}, ${g * 255 | 0}, ${b * 255 | 0}, 0.35)`;
-            objEl.style.borderColor = `rgba(${r * 255 | 0}, ${g * 255 | 0}, ${b * 255 | 0}, 0.6)`;
-        }
-
-        objEl.innerHTML = `<span class="obj-icon">${Model.iconFor(inst)}</span><span class="obj-label">${inst.name}</span>`;
-
-        objEl.addEventListener('click', (e) => {
-            e.stopPropagation();
-            setWindowSelection(win, inst.id);
-        });
-        canvas.appendChild(objEl);
-    }
-
-    canvas.addEventListener('click', () => setWindowSelection(win, null));
+    // The camera lives on the window so refreshes and restores keep the view
+    if (!win.camera) win.camera = {};
+    const viewport = Viewport.createViewport(body, {
+        camera: win.camera,
+        onPick: (id) => setWindowSelection(win, id),
+    });
+    viewport.setInstances(place.instances);
 
-    win.onSelectionChange.push(() => {
-        canvas.querySelectorAll('.viewport-obj').forEach(o =>
-            o.classList.toggle('selected', o.dataset.itemId === win.selection));
+    acceptAssetDrops(body, (assetId, e) => {
+        const ground = viewport.screenToGround(e.clientX, e.clientY);
+        dropAssetIntoPlace(win, assetId, { position: ground && ground.map(c => Math.round(c * 10) / 10) });
     });
 
-    body.appendChild(canvas);
+    addPanelAction(panel, '⌖', 'Frame selection (F)', () => viewport.frame(win.selection));
+    addPanelAction(panel, '⤢', 'Frame all', () => viewport.frame(null));
+
+    win.onSelectionChange.push(() => viewport.setSelection(win.selection));
     return panel;
 }
 
@@ -460,45 +971,54 @@ function panelInstanceProperties(win) {
             return;
         }
 
-        let refsHtml = '';
-        const refPairs = [
-            ['Mesh', inst.meshId],
-            ['Texture', inst.textureId],
-            ['Image', inst.imageId],
-            ['Package', inst.packageId],
-        ].filter(([, v]) => v);
-
-        if (refPairs.length > 0) {
-            refsHtml = `<div class="prop-group">
-                <div class="prop-group-title">References</div>
-                ${refPairs.map(([label, id]) => {
-                    const target = world.get(id);
-                    const name = target ? target.name : id;
-                    return `<div class="prop-row">
-                        <span class="prop-label">${label}</span>
-                        <span class="prop-value ref-link" data-ref-id="${id}">${Model.iconFor(target)} ${name} &#x2197;</span>
-                    </div>`;
-                }).join('')}
-            </div>`;
-        }
-
-        let sizeHtml = '';
-        if (inst.size) sizeHtml = propRow('Size', `[${inst.size.join(', ')}]`);
-        if (inst.position) sizeHtml += propRow('Position', `[${inst.position.join(', ')}]`);
+        const refFields = Model.REF_FIELDS.filter(f => inst[f] || (CLASS_REF_FIELDS[inst.class] || []).includes(f));
+        const refsHtml = refFields.length === 0 ? '' : `<div class="prop-group">
+            <div class="prop-group-title">References</div>
+            ${refFields.map(f => {
+                const target = inst[f] ? world.get(inst[f]) : null;
+                const link = target ? `<span class="ref-link" data-ref-id="${escapeHtml(target.id)}" title="Open ${escapeHtml(target.name)}">&#x2197;</span>` : '';
+                const warning = target && !world.canUse(inst.ownerId, target.id)
+                    ? `<span class="prop-warning" title="${escapeHtml(target.name)} (${escapeHtml(target.ownerId)}) is not shared with ${escapeHtml(inst.ownerId)}">⚠️</span>` : '';
+                // Outdated pins offer to move to the latest version
+                const version = !inst.pins[f] ? ''
+                    : world.isOutdated(inst, f) ? `<span class="version-tag version-outdated ref-update" data-field="${f}"
+                        title="Pinned to v${inst.pins[f]}; click to pin the latest (v${world.latestVersion(target)})">outdated ⬆</span>`
+                    : versionTag(target, inst.pins[f]);
+                return `<div class="prop-row">
+                    <span class="prop-label">${REF_LABELS[f]}</span>
+                    ${editorHtml(inst, f, 'ref')}${version}${warning}${link}
+                </div>`;
+            }).join('')}
+        </div>`;
 
         content.innerHTML = `
             <div class="prop-group">
                 <div class="prop-group-title">Identity</div>
-                ${propRow('Name', inst.name)}
-                ${propRow('Class', inst.class)}
-                ${propRow('ID', inst.id)}
+                ${editRow('Name', inst, 'name')}
+                ${propRow('Class', escapeHtml(inst.class))}
+                ${propRow('ID', escapeHtml(inst.id))}
+                ${propRow('Path', escapeHtml(world.getInstancePath(inst)))}
+                ${inst.children.length ? propRow('Children', inst.children.length) : ''}
+            </div>
+            <div class="prop-group">
+                <div class="prop-group-title">Transform</div>
+                ${editRow('Size', inst, 'size', 'vec3')}
+                ${editRow('Position', inst, 'position', 'vec3')}
+                ${editRow('Color', inst, 'color', 'color')}
             </div>
-            ${sizeHtml ? `<div class="prop-group"><div class="prop-group-title">Transform</div>${sizeHtml}</div>` : ''}
             ${refsHtml}`;
 
         content.querySelectorAll('.ref-link').forEach(link => {
             link.addEventListener('click', () => openAssetWindow(link.dataset.refId));
         });
+        content.querySelectorAll('.ref-update').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const field = btn.dataset.field;
+                const latest = world.latestVersion(world.get(inst[field]));
+                runCommand(editCommand(inst.id, field, Model.formatRef(inst[field], latest)));
+            });
+        });
+        wireEditors(content);
     }
 
     win.onSelectionChange.push(render);
@@ -515,136 +1035,1404 @@ function panelAssetPreview(win) {
 
     const preview = el('div', 'asset-preview');
     preview.innerHTML = `
-        <div class="preview-icon-large">${Model.iconFor(asset)}</div>
+        <div class="preview-icon-large" title="Drag into a place to use">${Model.iconFor(asset)}</div>
         <div class="preview-name">${asset.name}</div>
         <div class="preview-type">${asset.type}</div>
         <div class="prop-group" style="margin-top:16px; text-align:left; width:100%;">
             <div class="prop-group-title">Properties</div>
-            ${propRow('Name', asset.name)}
+            ${editRow('Name', asset, 'name')}
             ${propRow('Type', asset.type)}
             ${propRow('ID', asset.id)}
             ${propRow('Owner', asset.ownerId)}
+            ${propRow('Sharing', accessLabel(asset))}
         </div>`;
+    wireEditors(preview);
+    makeAssetDraggable(preview.querySelector('.preview-icon-large'), asset);
     body.appendChild(preview);
     return panel;
 }
 
-// ─── Panel: Image preview ───────────────────────────────────────────────────
+// ─── Panel: Package contents ────────────────────────────────────────────────
 
-function panelImagePreview(win) {
-    const asset = win.node;
-    const panel = makePanel('Preview', '🖼️');
+function panelPackageContents(win) {
+    const pkg = win.node;
+    const panel = makePanel('Contents', '📦');
     const body = panel.querySelector('.panel-body');
+    const contents = (pkg.contents || []).filter(c => c && typeof c === 'object');
 
-    const preview = el('div', 'asset-preview');
-    // Faux image preview with a colored placeholder
-    const hue = hashToHue(asset.id);
-    preview.innerHTML = `
-        <div class="image-placeholder" style="background: hsl(${hue}, 40%, 30%);">
-            <span>🖼️</span>
-            <span class="placeholder-label">${asset.name}</span>
-        </div>
-        <div class="prop-group" style="margin-top:12px; text-align:left; width:100%;">
-            <div class="prop-group-title">Properties</div>
-            ${propRow('Name', asset.name)}
-            ${propRow('Type', asset.type)}
-            ${propRow('ID', asset.id)}
-            ${propRow('Owner', asset.ownerId)}
-        </div>`;
-    body.appendChild(preview);
-    return panel;
-}
-
-// ─── Panel: Audio preview ───────────────────────────────────────────────────
-
-function panelAudioPreview(win) {
-    const asset = win.node;
-    const panel = makePanel('Player', '🔊');
-    const body = panel.querySelector('.panel-body');
+    if (contents.length === 0) {
+        body.innerHTML = '<div class="empty-hint">This package declares no contents</div>';
+        return panel;
+    }
 
-    const preview = el('div', 'asset-preview');
-    preview.innerHTML = `
-        <div class="audio-player-mock">
-            <div class="audio-icon">🔊</div>
-            <div class="audio-waveform">
-                ${Array.from({ length: 24 }, () => {
-                    const h = 10 + Math.random() * 40;
-                    return `<div class="wave-bar" style="height:${h}px"></div>`;
-                }).join('')}
-            </div>
-            <div class="audio-controls">
-                <span class="audio-btn">⏮</span>
-                <span class="audio-btn play-btn">▶</span>
-                <span class="audio-btn">⏭</span>
-            </div>
-            <div class="audio-time">0:00 / 0:30</div>
-        </div>
-        <div class="prop-group" style="margin-top:12px; text-align:left; width:100%;">
-            <div class="prop-group-title">Properties</div>
-            ${propRow('Name', asset.name)}
-            ${propRow('Type', asset.type)}
-            ${propRow('ID', asset.id)}
-            ${propRow('Owner', asset.ownerId)}
-        </div>`;
-    body.appendChild(preview);
+    const list = el('div', 'panel-list');
+    const addRows = (items, depth) => {
+        for (const inst of items) {
+            if (!inst || typeof inst !== 'object') continue;
+            const refs = Model.REF_FIELDS.filter(f => inst[f])
+                .map(f => refBadge(inst[f], Model.REF_ASSET_TYPE[f], pkg.ownerId)).join('');
+            const row = el('div', 'tree-row');
+            row.style.paddingLeft = `${8 + depth * 16}px`;
+            row.innerHTML = `<span class="row-icon">${Model.iconFor(inst)}</span>
+                <span class="row-name">${escapeHtml(inst.name)}</span>
+                <span class="row-class">${escapeHtml(inst.class)}</span>
+                <span class="row-refs">${refs}</span>`;
+            row.querySelectorAll('.ref-badge').forEach(badge => {
+                badge.addEventListener('click', () => openAssetWindow(badge.dataset.refId));
+            });
+            list.appendChild(row);
+            addRows(inst.children || [], depth + 1);
+        }
+    };
+    addRows(contents, 0);
+    body.appendChild(list);
     return panel;
 }
 
-// ─── Panel: Usages ──────────────────────────────────────────────────────────
+// ─── Panel: Package dependencies ────────────────────────────────────────────
 
-function panelUsages(win) {
-    const asset = win.node;
-    const panel = makePanel('Usages', '🔗');
+function panelDependencies(win) {
+    const pkg = win.node;
+    const deps = world.getDependencies(pkg.id);
+    const cycles = world.findPackageCycles().filter(c => c.includes(pkg.id));
+    const panel = makePanel(`Dependencies (${deps.length})`, '🧬');
     const body = panel.querySelector('.panel-body');
 
-    const usages = world.getUsages(asset.id);
-
-    if (usages.length === 0) {
-        body.innerHTML = '<div class="empty-hint">No usages found</div>';
+    if (deps.length === 0) {
+        body.innerHTML = '<div class="empty-hint">No dependencies</div>';
         return panel;
     }
 
     const list = el('div', 'panel-list');
-    for (const usage of usages) {
-        const row = el('div', 'list-row');
-        row.innerHTML = `
-            <span class="row-icon">🔗</span>
-            <span class="row-name">${usage.instanceName}</span>
-            <span class="row-detail">in ${usage.placeName}</span>
-            <span class="row-open" title="Open place">&#x2197;</span>`;
-        row.querySelector('.row-open').addEventListener('click', (e) => {
-            e.stopPropagation();
-            openAssetWindow(usage.placeId);
-        });
+    for (const cycle of cycles) {
+        const row = el('div', 'list-row dep-cycle');
+        const names = [...cycle, cycle[0]].map(id => escapeHtml((world.get(id) || { name: id }).name));
+        row.innerHTML = `<span class="row-icon">⚠️</span>
+            <span class="row-name">Cycle: ${names.join(' → ')}</span>`;
+        list.appendChild(row);
+    }
+    for (const dep of deps) {
+        const asset = world.get(dep.id);
+        const via = dep.depth === 1 ? 'direct' : `via ${escapeHtml(world.get(dep.via).name)}`;
+        const row = el('div', `list-row${asset ? '' : ' dep-missing'}`);
+        row.style.paddingLeft = `${8 + (dep.depth - 1) * 12}px`;
+        row.innerHTML = `<span class="row-icon">${asset ? Model.iconFor(asset) : '⛓️'}</span>
+            <span class="row-name">${escapeHtml(asset ? asset.name : dep.id)}</span>
+            <span class="row-detail">${asset ? `${asset.type} · ${via}` : `missing · ${via}`}</span>
+            ${asset ? '<span class="row-open" title="Open asset">&#x2197;</span>' : ''}`;
+        if (asset) {
+            row.querySelector('.row-open').addEventListener('click', (e) => {
+                e.stopPropagation();
+                openAssetWindow(asset.id);
+            });
+        }
         list.appendChild(row);
     }
     body.appendChild(list);
     return panel;
 }
 
-// ─── Panel: Generic properties ──────────────────────────────────────────────
+// ─── Asset media ────────────────────────────────────────────────────────────
+// Image and audio assets may carry a `file`: a data URI, an absolute URL, or
+// a path relative to the owners.json their owner was loaded from.
+
+/** `{ url }` for an asset's media, `{ error }` when it can't be located, or `{}` when it has none. */
+function assetMediaUrl(asset) {
+    const file = asset.file;
+    if (!file) return {};
+    if (/^(data|https?|blob):/i.test(file)) return { url: file };
+    const owner = world.get(asset.ownerId);
+    const source = owner && owner.sourceId ? dataSources.find(s => s.id === owner.sourceId) : null;
+    if (source && source.kind !== 'url') {
+        return { error: `"${file}" is relative to ${source.name}, which has no location to resolve it against` };
+    }
+    return { url: new URL(file, new URL(source ? source.url : DEFAULT_SOURCE_URL, location.href)).href };
+}
 
-function panelGenericProperties(win) {
-    const node = win.node;
-    const panel = makePanel('Properties', '⚙');
-    const body = panel.querySelector('.panel-body');
+// Short description of a `file` value; data URIs are too long to show
+function mediaLabel(file) {
+    const match = /^data:([^;,]*)[^,]*,/.exec(file);
+    if (!match) return file;
+    return `Embedded ${match[1] || 'data'} (${formatBytes(file.length - match[0].length)})`;
+}
 
-    const props = el('div', 'props');
-    props.innerHTML = `<div class="prop-group">
-        <div class="prop-group-title">Info</div>
-        ${propRow('ID', node.id)}
-        ${propRow('Kind', node.kind)}
-        ${node.name ? propRow('Name', node.name) : ''}
-    </div>`;
-    body.appendChild(props);
-    return panel;
+function formatBytes(n) {
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    return `${(n / 1024 / 1024).toFixed(1)} MB`;
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// Helpers
-// ─────────────────────────────────────────────────────────────────────────────
+function formatTime(seconds) {
+    const s = Math.max(0, Math.floor(seconds));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
 
-function makePanel(title, icon) {
+// Attach / detach header actions shared by the media panels
+function addMediaActions(panel, asset, accept) {
+    addPanelAction(panel, '📎', 'Attach a file', () => {
+        const input = el('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.addEventListener('load', () => {
+                try {
+                    runCommand(editCommand(asset.id, 'file', reader.result));
+                } catch (err) {
+                    showNotice(`Can't attach ${file.name}: ${err.message}`, 'error');
+                }
+            });
+            reader.addEventListener('error', () => showNotice(`Can't read ${file.name}`, 'error'));
+            reader.readAsDataURL(file);
+        });
+        input.click();
+    });
+    if (asset.file) addPanelAction(panel, '✕', 'Detach the file', () => runCommand(editCommand(asset.id, 'file', null)));
+}
+
+function mediaPropsHtml(asset) {
+    return `
+        <div class="prop-group" style="margin-top:12px; text-align:left; width:100%;">
+            <div class="prop-group-title">Properties</div>
+            ${editRow('Name', asset, 'name')}
+            ${propRow('Type', asset.type)}
+            ${propRow('ID', asset.id)}
+            ${propRow('Owner', asset.ownerId)}
+            ${propRow('Sharing', accessLabel(asset))}
+            ${propRow('File', asset.file ? escapeHtml(mediaLabel(asset.file)) : '—')}
+        </div>`;
+}
+
+// ─── Panel: Image preview ───────────────────────────────────────────────────
+
+const IMAGE_ZOOM_MIN = 0.1;
+const IMAGE_ZOOM_MAX = 16;
+
+function panelImagePreview(win) {
+    const asset = win.node;
+    const panel = makePanel('Preview', '🖼️');
+    const body = panel.querySelector('.panel-body');
+    addMediaActions(panel, asset, 'image/*');
+
+    const { url, error } = assetMediaUrl(asset);
+    const preview = el('div', 'asset-preview');
+    preview.innerHTML = `
+        <div class="image-stage" title="Drag into a place to use"></div>
+        <div class="image-toolbar">
+            <span class="zoom-btn" data-zoom="out" title="Zoom out">&minus;</span>
+            <span class="zoom-btn" data-zoom="fit" title="Fit to panel">Fit</span>
+            <span class="zoom-btn" data-zoom="actual" title="Actual size">1:1</span>
+            <span class="zoom-btn" data-zoom="in" title="Zoom in">+</span>
+            <span class="image-info"></span>
+        </div>
+        ${mediaPropsHtml(asset)}`;
+    wireEditors(preview);
+
+    const stage = preview.querySelector('.image-stage');
+    const toolbar = preview.querySelector('.image-toolbar');
+    const info = preview.querySelector('.image-info');
+    const showPlaceholder = (message) => {
+        stage.replaceWith(imagePlaceholder(asset, message));
+        toolbar.hidden = true;
+        makeAssetDraggable(preview.querySelector('.image-placeholder'), asset);
+    };
+
+    if (!url) {
+        showPlaceholder(error || 'No image attached');
+    } else {
+        const img = el('img', 'image-media');
+        img.alt = asset.name;
+        img.draggable = false;
+        const applyZoom = () => {
+            const zoom = win.imageZoom;
+            stage.classList.toggle('zoomed', zoom !== null);
+            img.classList.toggle('pixelated', zoom !== null && zoom >= 2);
+            img.style.width = zoom === null ? '' : `${img.naturalWidth * zoom}px`;
+            const scale = zoom ?? img.clientWidth / img.naturalWidth;
+            info.textContent = `${img.naturalWidth} × ${img.naturalHeight} · ${Math.round(scale * 100)}%`;
+        };
+        const zoomBy = (factor) => {
+            const current = win.imageZoom ?? img.clientWidth / img.naturalWidth;
+            win.imageZoom = Math.min(IMAGE_ZOOM_MAX, Math.max(IMAGE_ZOOM_MIN, current * factor));
+            applyZoom();
+        };
+        img.addEventListener('load', applyZoom);
+        img.addEventListener('error', () => showPlaceholder(`Couldn't load ${asset.file.startsWith('data:') ? 'the embedded image' : asset.file}`));
+        toolbar.addEventListener('click', (e) => {
+            const btn = e.target.closest('.zoom-btn');
+            if (!btn || !img.naturalWidth) return;
+            if (btn.dataset.zoom === 'in') zoomBy(1.25);
+            else if (btn.dataset.zoom === 'out') zoomBy(0.8);
+            else {
+                win.imageZoom = btn.dataset.zoom === 'actual' ? 1 : null;
+                applyZoom();
+            }
+        });
+        stage.addEventListener('wheel', (e) => {
+            if (!img.naturalWidth) return;
+            e.preventDefault();
+            zoomBy(e.deltaY < 0 ? 1.1 : 1 / 1.1);
+        }, { passive: false });
+        if (win.imageZoom === undefined) win.imageZoom = null;
+        info.textContent = 'Loading…';
+        img.src = url;
+        stage.appendChild(img);
+        makeAssetDraggable(stage, asset);
+    }
+
+    body.appendChild(preview);
+    return panel;
+}
+
+function imagePlaceholder(asset, message) {
+    const placeholder = el('div', 'image-placeholder');
+    placeholder.style.background = `hsl(${hashToHue(asset.id)}, 40%, 30%)`;
+    placeholder.title = 'Drag into a place to use';
+    placeholder.innerHTML = `<span>🖼️</span><span class="placeholder-label">${escapeHtml(message)}</span>`;
+    return placeholder;
+}
+
+// ─── Panel: Audio preview ───────────────────────────────────────────────────
+// Audio decodes through one shared AudioContext. Playback state lives on the
+// window (`win.audio`) so it survives panel refreshes; closeWindow stops it.
+
+const WAVEFORM_BARS = 48;
+const AUDIO_SKIP_SECONDS = 5;
+
+let audioContext = null;
+const decodedAudio = new Map();     // url → Promise<AudioBuffer>
+
+function decodeAudio(url) {
+    if (!decodedAudio.has(url)) {
+        audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)();
+        const decoding = fetch(url)
+            .then(res => {
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                return res.arrayBuffer();
+            })
+            .then(bytes => audioContext.decodeAudioData(bytes));
+        // Failures are retried the next time the asset is opened
+        decoding.catch(() => decodedAudio.delete(url));
+        decodedAudio.set(url, decoding);
+    }
+    return decodedAudio.get(url);
+}
+
+// Peak amplitude (0..1) of each of `bars` equal slices, across all channels
+function waveformPeaks(buffer, bars = WAVEFORM_BARS) {
+    const peaks = new Array(bars).fill(0);
+    const slice = buffer.length / bars;
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const samples = buffer.getChannelData(c);
+        for (let b = 0; b < bars; b++) {
+            const end = Math.min(samples.length, Math.floor((b + 1) * slice));
+            for (let i = Math.floor(b * slice); i < end; i++) {
+                const v = Math.abs(samples[i]);
+                if (v > peaks[b]) peaks[b] = v;
+            }
+        }
+    }
+    const max = Math.max(...peaks) || 1;
+    return peaks.map(p => p / max);
+}
+
+function audioPosition(player) {
+    if (!player.playing) return player.offset;
+    return Math.min(player.buffer.duration, player.offset + audioContext.currentTime - player.startedAt);
+}
+
+function playAudio(win) {
+    const player = win.audio;
+    if (!player || !player.buffer || player.playing) return;
+    if (player.offset >= player.buffer.duration) player.offset = 0;
+    audioContext.resume();
+    const node = audioContext.createBufferSource();
+    node.buffer = player.buffer;
+    node.connect(audioContext.destination);
+    node.addEventListener('ended', () => {
+        // stop() fires this too; only a source that ran out ends playback
+        if (player.node !== node) return;
+        player.node = null;
+        player.playing = false;
+        player.offset = 0;
+        updateAudioDisplay(win);
+    });
+    node.start(0, player.offset);
+    Object.assign(player, { node, playing: true, startedAt: audioContext.currentTime });
+    updateAudioDisplay(win);
+}
+
+function pauseAudio(win) {
+    const player = win.audio;
+    if (!player || !player.playing) return;
+    player.offset = audioPosition(player);
+    player.playing = false;
+    const node = player.node;
+    player.node = null;
+    node.stop();
+    updateAudioDisplay(win);
+}
+
+function seekAudio(win, seconds) {
+    const player = win.audio;
+    if (!player || !player.buffer) return;
+    const wasPlaying = player.playing;
+    pauseAudio(win);
+    player.offset = Math.min(player.buffer.duration, Math.max(0, seconds));
+    if (wasPlaying) playAudio(win);
+    else updateAudioDisplay(win);
+}
+
+function stopAudio(win) {
+    pauseAudio(win);
+    win.audio = null;
+}
+
+// Sync the play button, time readout and played bars; keeps itself running
+// for as long as the audio plays
+function updateAudioDisplay(win) {
+    const player = win.audio;
+    const playerEl = win.el && win.el.querySelector('.audio-player');
+    if (!player || !player.buffer || !playerEl) return;
+    const position = audioPosition(player);
+    const played = Math.round(position / player.buffer.duration * WAVEFORM_BARS);
+    playerEl.querySelector('.play-btn').textContent = player.playing ? '⏸' : '▶';
+    playerEl.querySelector('.audio-time').textContent = `${formatTime(position)} / ${formatTime(player.buffer.duration)}`;
+    playerEl.querySelectorAll('.wave-bar').forEach((bar, i) => bar.classList.toggle('played', i < played));
+    if (player.playing && !player.frame) {
+        player.frame = requestAnimationFrame(() => {
+            player.frame = null;
+            if (win.audio === player) updateAudioDisplay(win);
+        });
+    }
+}
+
+function panelAudioPreview(win) {
+    const asset = win.node;
+    const panel = makePanel('Player', '🔊');
+    const body = panel.querySelector('.panel-body');
+    addMediaActions(panel, asset, 'audio/*');
+
+    const { url, error } = assetMediaUrl(asset);
+    if (win.audio && win.audio.url !== url) stopAudio(win);
+    if (url && !win.audio) {
+        const player = { url, buffer: null, peaks: null, error: null, node: null, playing: false, offset: 0, startedAt: 0, frame: null };
+        win.audio = player;
+        decodeAudio(url).then(buffer => {
+            player.buffer = buffer;
+            player.peaks = waveformPeaks(buffer);
+        }, err => {
+            player.error = err.message || String(err);
+        }).then(() => {
+            if (win.audio === player && openWindows.includes(win)) refreshWindow(win);
+        });
+    }
+
+    const player = win.audio;
+    const ready = player && player.buffer;
+    // Without decoded audio the waveform is a flat stand-in derived from the id
+    const peaks = ready ? player.peaks
+        : Array.from({ length: WAVEFORM_BARS }, (_, i) => 0.2 + 0.15 * ((hashToHue(`${asset.id}:${i}`) % 7) / 6));
+    const status = ready ? '' : player && !player.error ? 'Loading…'
+        : player ? `Couldn't decode ${asset.file.startsWith('data:') ? 'the embedded audio' : asset.file}: ${player.error}`
+        : error || 'No audio attached';
+
+    const position = ready ? audioPosition(player) : 0;
+    const played = ready ? Math.round(position / player.buffer.duration * WAVEFORM_BARS) : 0;
+
+    const preview = el('div', 'asset-preview');
+    preview.innerHTML = `
+        <div class="audio-player${ready ? '' : ' audio-unavailable'}">
+            <div class="audio-icon">🔊</div>
+            <div class="audio-waveform" ${ready ? 'title="Click to seek"' : ''}>
+                ${peaks.map((p, i) => `<div class="wave-bar${i < played ? ' played' : ''}" style="height:${Math.max(2, Math.round(p * 50))}px"></div>`).join('')}
+            </div>
+            ${ready ? `
+            <div class="audio-controls">
+                <span class="audio-btn" data-action="restart" title="Back to start">⏮</span>
+                <span class="audio-btn" data-action="back" title="Back ${AUDIO_SKIP_SECONDS}s">⏪</span>
+                <span class="audio-btn play-btn" data-action="toggle" title="Play / pause">${player.playing ? '⏸' : '▶'}</span>
+                <span class="audio-btn" data-action="forward" title="Forward ${AUDIO_SKIP_SECONDS}s">⏩</span>
+            </div>
+            <div class="audio-time">${formatTime(position)} / ${formatTime(player.buffer.duration)}</div>` : `<div class="audio-status">${escapeHtml(status)}</div>`}
+        </div>
+        ${mediaPropsHtml(asset)}`;
+    wireEditors(preview);
+
+    if (ready) {
+        preview.querySelector('.audio-controls').addEventListener('click', (e) => {
+            const action = e.target.closest('.audio-btn')?.dataset.action;
+            if (action === 'toggle') (player.playing ? pauseAudio : playAudio)(win);
+            else if (action === 'restart') seekAudio(win, 0);
+            else if (action === 'back') seekAudio(win, audioPosition(player) - AUDIO_SKIP_SECONDS);
+            else if (action === 'forward') seekAudio(win, audioPosition(player) + AUDIO_SKIP_SECONDS);
+        });
+        const waveform = preview.querySelector('.audio-waveform');
+        waveform.addEventListener('click', (e) => {
+            const rect = waveform.getBoundingClientRect();
+            seekAudio(win, (e.clientX - rect.left) / rect.width * player.buffer.duration);
+        });
+    }
+    body.appendChild(preview);
+    return panel;
+}
+
+// ─── Inline editors ─────────────────────────────────────────────────────────
+// Editable counterparts of propRow. Every input names the node and field it
+// edits; wireEditors() turns committed values into undoable commands.
+
+const REF_LABELS = { meshId: 'Mesh', textureId: 'Texture', imageId: 'Image', packageId: 'Package' };
+
+// Reference fields offered for each class even when they are still empty
+const CLASS_REF_FIELDS = {
+    MeshPart: ['meshId', 'textureId'],
+    Decal: ['imageId'],
+    ImageLabel: ['imageId'],
+    PackageLink: ['packageId'],
+};
+
+function editRow(label, node, field, kind = 'text') {
+    return `<div class="prop-row"><span class="prop-label">${label}</span>${editorHtml(node, field, kind)}</div>`;
+}
+
+function editorHtml(node, field, kind = 'text') {
+    const value = node[field];
+    const attrs = (i) => {
+        const key = i === undefined ? `${node.id}.${field}` : `${node.id}.${field}.${i}`;
+        return `data-node-id="${node.id}" data-field="${field}" data-kind="${kind}" data-edit-key="${key}"`
+            + (i === undefined ? '' : ` data-index="${i}"`);
+    };
+
+    switch (kind) {
+        case 'vec3':
+            return `<span class="prop-vec3">${[0, 1, 2].map(i =>
+                `<input class="prop-input" type="number" step="any" placeholder="${'XYZ'[i]}"
+                    value="${value ? value[i] : ''}" ${attrs(i)}>`).join('')}</span>`;
+        case 'color':
+            return `<span class="prop-color">
+                <input class="prop-input" type="color" value="${value ? rgbToHex(value) : '#a3a2a5'}" ${attrs()}>
+                ${value ? `<span class="prop-hint">[${value.map(c => +c.toFixed(3)).join(', ')}]</span>` : '<span class="prop-hint">unset</span>'}
+            </span>`;
+        case 'ref':
+            return `<input class="prop-input" type="text" spellcheck="false" placeholder="none"
+                list="asset-options-${Model.REF_ASSET_TYPE[field]}" value="${escapeHtml(world.getRef(node, field) || '')}" ${attrs()}>`;
+        default:
+            return `<input class="prop-input" type="text" spellcheck="false" value="${escapeHtml(value ?? '')}" ${attrs()}>`;
+    }
+}
+
+function wireEditors(container) {
+    container.querySelectorAll('.prop-input').forEach(input => {
+        input.addEventListener('change', () => commitEditor(input));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') input.blur();
+            if (e.key === 'Escape') {
+                input.value = input.defaultValue;
+                input.blur();
+            }
+        });
+    });
+}
+
+function readEditor(input) {
+    const { kind } = input.dataset;
+    if (kind === 'vec3') {
+        const parts = Array.from(input.closest('.prop-vec3').querySelectorAll('input'), i => i.value.trim());
+        if (parts.every(p => p === '')) return null;
+        return parts.map(p => (p === '' ? 0 : Number(p)));
+    }
+    if (kind === 'color') return hexToRgb(input.value);
+    if (kind === 'ref') return input.value.trim() || null;
+    return input.value;
+}
+
+function commitEditor(input) {
+    const { nodeId, field } = input.dataset;
+    const node = world.get(nodeId);
+    if (!node) return;
+    const value = readEditor(input);
+    const current = input.dataset.kind === 'ref' ? world.getRef(node, field) : node[field];
+    if (JSON.stringify(value) === JSON.stringify(current ?? null)) return;
+
+    try {
+        runCommand(editCommand(nodeId, field, value));
+        input.classList.remove('invalid');
+    } catch (err) {
+        input.classList.add('invalid');
+        input.title = err.message;
+    }
+}
+
+// Keep the <datalist>s behind reference editors in sync with the inventory
+function refreshAssetOptions() {
+    for (const type of Object.values(Model.AssetType)) {
+        let list = document.getElementById(`asset-options-${type}`);
+        if (!list) {
+            list = el('datalist');
+            list.id = `asset-options-${type}`;
+            document.body.appendChild(list);
+        }
+        list.innerHTML = '';
+        for (const owner of world.owners) {
+            for (const asset of owner.inventory) {
+                if (asset.type !== type) continue;
+                const opt = el('option');
+                opt.value = asset.id;
+                opt.label = `${asset.name} (${owner.id})`;
+                list.appendChild(opt);
+            }
+        }
+    }
+}
+
+// ─── Panel: Usages ──────────────────────────────────────────────────────────
+
+// Grouped owner → game → place. References through the main field are
+// direct; texture references and usages through packages are indirect and
+// only listed when the window's "Indirect" toggle is on.
+function panelUsages(win) {
+    const asset = win.node;
+    const all = world.getUsages(asset.id, { indirect: true });
+    const isIndirect = (u) => !!u.via || u.field === 'textureId';
+    const usages = win.showIndirect ? all : all.filter(u => !isIndirect(u));
+    const hidden = all.length - usages.length;
+
+    const panel = makePanel(`Usages (${usages.length})`, '🔗');
+    const body = panel.querySelector('.panel-body');
+    body.classList.add('tree-panel');
+
+    const toggle = addPanelAction(panel, `${win.showIndirect ? '☑' : '☐'} Indirect`,
+        'Include texture references and usages through packages', () => {
+            win.showIndirect = !win.showIndirect;
+            refreshWindow(win);
+        });
+    toggle.classList.toggle('active', !!win.showIndirect);
+    addPanelAction(panel, '⇄ Replace', 'Replace these references with another asset', () => openAssetWindow(`replace:${asset.id}`));
+
+    if (usages.length === 0) {
+        body.innerHTML = `<div class="empty-hint">No ${win.showIndirect ? '' : 'direct '}usages found${hidden ? ` (${hidden} indirect)` : ''}</div>`;
+        return panel;
+    }
+
+    const bucket = (map, key, make) => map.get(key) || map.set(key, make()).get(key);
+    const byOwner = new Map();
+    for (const u of usages) {
+        const byGame = bucket(byOwner, u.ownerId, () => new Map());
+        const byPlace = bucket(byGame, u.gameId, () => new Map());
+        bucket(byPlace, u.placeId, () => []).push(u);
+    }
+
+    const count = (map) => map instanceof Map ? [...map.values()].reduce((n, v) => n + count(v), 0) : map.length;
+
+    // Flattened for the virtual list: group rows, then (unless collapsed)
+    // their contents
+    const flatten = () => {
+        const rows = [];
+        const addGroup = (id, depth, total) => {
+            rows.push({ group: world.get(id), depth, total });
+            return !win.collapsed.has(id);
+        };
+        for (const [ownerId, byGame] of byOwner) {
+            if (!addGroup(ownerId, 0, count(byGame))) continue;
+            for (const [gameId, byPlace] of byGame) {
+                if (!addGroup(gameId, 1, count(byPlace))) continue;
+                for (const [placeId, list] of byPlace) {
+                    if (addGroup(placeId, 2, list.length)) rows.push(...list.map(usage => ({ usage })));
+                }
+            }
+        }
+        return rows;
+    };
+
+    const groupRow = ({ group, depth, total }) => {
+        const row = el('div', 'tree-row usage-group');
+        row.style.paddingLeft = `${8 + depth * 16}px`;
+        row.dataset.groupId = group.id;
+        row.classList.toggle('collapsed', win.collapsed.has(group.id));
+        row.innerHTML = `<span class="tree-twisty"></span>
+            <span class="row-icon">${group.kind === 'owner' ? Model.ICONS[group.type] : Model.ICONS[group.kind]}</span>
+            <span class="row-name">${escapeHtml(group.name || group.id)}</span>
+            <span class="usage-count">${total}</span>`;
+        return row;
+    };
+
+    const usageRow = ({ usage: u }) => {
+        const inst = world.get(u.instanceId);
+        const within = u.path.split('/').slice(1, -1).join('/');
+        const how = u.via ? `via ${escapeHtml(world.get(u.via).name)}` : u.field === 'textureId' ? 'as texture' : '';
+        // Through a package, the pin is on the package, not on this asset
+        const version = u.via ? versionTag(world.get(u.via), u.version) : versionTag(asset, u.version);
+        const row = el('div', 'tree-row usage-row');
+        row.style.paddingLeft = `${8 + 3 * 16}px`;
+        row.dataset.itemId = u.instanceId;
+        row.classList.toggle('selected', u.instanceId === win.selection);
+        row.innerHTML = `<span class="tree-twisty-spacer"></span>
+            <span class="row-icon">${Model.iconFor(inst)}</span>
+            <span class="row-name" title="${escapeHtml(u.path)}">${escapeHtml(u.instanceName)}</span>
+            <span class="row-detail">${[escapeHtml(within), how].filter(Boolean).join(' · ')}</span>
+            ${version}
+            <span class="row-open" title="Show in place">&#x2197;</span>`;
+        return row;
+    };
+
+    const tree = el('div', 'instance-tree usage-tree');
+    const rows = createVirtualList(body, {
+        rowHeight: TREE_ROW_HEIGHT,
+        renderRow: (row) => row.group ? groupRow(row) : usageRow(row),
+    });
+    tree.appendChild(rows.el);
+    if (hidden) {
+        const note = el('div', 'empty-hint');
+        note.textContent = `${hidden} indirect usage${hidden !== 1 ? 's' : ''} hidden`;
+        tree.appendChild(note);
+    }
+    body.appendChild(tree);
+    const update = () => rows.setRows(flatten());
+    update();
+
+    // Group rows toggle; usage rows select, and open their place from the
+    // open button or on double-click
+    tree.addEventListener('click', (e) => {
+        const row = e.target.closest('.tree-row');
+        if (!row) return;
+        if (row.dataset.groupId) {
+            const id = row.dataset.groupId;
+            if (win.collapsed.has(id)) win.collapsed.delete(id);
+            else win.collapsed.add(id);
+            update();
+        } else if (e.target.closest('.row-open')) {
+            revealInstance(row.dataset.itemId);
+        } else {
+            setWindowSelection(win, row.dataset.itemId);
+        }
+    });
+    tree.addEventListener('dblclick', (e) => {
+        const row = e.target.closest('.usage-row');
+        if (row && !e.target.closest('.row-open')) revealInstance(row.dataset.itemId);
+    });
+
+    // Keep the selected usage visible: expand its groups and scroll to it
+    win.onSelectionChange.push(() => {
+        const u = usages.find(x => x.instanceId === win.selection);
+        if (u) {
+            const expanded = [u.ownerId, u.gameId, u.placeId].filter(id => win.collapsed.delete(id));
+            if (expanded.length) update();
+            rows.scrollToIndex(rows.rows.findIndex(r => r.usage && r.usage.instanceId === u.instanceId));
+        }
+        tree.querySelectorAll('.usage-row').forEach(r =>
+            r.classList.toggle('selected', r.dataset.itemId === win.selection));
+    });
+    return panel;
+}
+
+// ─── Panel: Version history ─────────────────────────────────────────────────
+
+function panelHistory(win) {
+    const asset = win.node;
+    const versions = asset.versions.filter(v => v && Number.isInteger(v.version)).sort((a, b) => b.version - a.version);
+    const latest = world.latestVersion(asset);
+    const panel = makePanel(`History (${versions.length})`, '🕘');
+    const body = panel.querySelector('.panel-body');
+
+    // Direct usages per pinned version; unpinned ones follow the latest
+    const pinned = new Map();
+    let following = 0;
+    for (const u of world.getUsages(asset.id)) {
+        if (u.version) pinned.set(u.version, (pinned.get(u.version) || 0) + 1);
+        else following++;
+    }
+    const known = new Set(versions.map(v => v.version));
+    const unknown = [...pinned].filter(([version]) => !known.has(version));
+
+    const list = el('div', 'history-timeline');
+    list.innerHTML = versions.map(v => {
+        const uses = pinned.get(v.version) || 0;
+        const meta = [v.date, v.author].filter(Boolean).map(escapeHtml).join(' · ');
+        return `<div class="history-entry${v.version === latest ? ' history-latest' : ''}">
+            <span class="history-dot"></span>
+            <div class="history-head">
+                <span class="history-version">v${v.version}</span>
+                ${v.version === latest ? '<span class="version-tag">latest</span>' : ''}
+                <span class="row-detail">${meta}</span>
+            </div>
+            ${v.note ? `<div class="history-note">${escapeHtml(v.note)}</div>` : ''}
+            ${uses ? `<div class="history-uses${v.version < latest ? ' version-outdated' : ''}">${uses} usage${uses !== 1 ? 's' : ''} pinned here</div>` : ''}
+        </div>`;
+    }).join('');
+    body.appendChild(list);
+
+    const summary = el('div', 'empty-hint history-summary');
+    summary.textContent = [
+        following ? `${following} usage${following !== 1 ? 's follow' : ' follows'} the latest version` : '',
+        ...unknown.map(([version, n]) => `${n} pinned to v${version}, which doesn't exist`),
+    ].filter(Boolean).join(' · ');
+    if (summary.textContent) body.appendChild(summary);
+    return panel;
+}
+
+// ─── Panel: Replace references ──────────────────────────────────────────────
+// Swaps an asset for another of the same type in every instance that uses
+// it directly, within a scope. Rows can be opted out; the swap is a single
+// undoable command.
+
+function panelReplaceReferences(win) {
+    const asset = world.get(win.node.assetId);
+    const panel = makePanel('Replace references', '⇄');
+    const body = panel.querySelector('.panel-body');
+    body.classList.add('replace-body');
+
+    // Choices live on the window so refreshes keep them
+    if (win.replaceScope === undefined) win.replaceScope = '*';
+    if (!win.replaceExcluded) win.replaceExcluded = new Set();     // "instanceId:field"
+
+    const candidates = world.owners.flatMap(o => o.inventory)
+        .filter(a => a.type === asset.type && a.id !== asset.id);
+    const target = candidates.find(a => a.id === win.replaceTarget) || null;
+
+    const usages = world.getUsages(asset.id);
+    const scopes = replaceScopes(usages);
+    if (!scopes.some(s => s.value === win.replaceScope)) win.replaceScope = '*';
+    const inScope = scopes.find(s => s.value === win.replaceScope).matches;
+    const shown = usages.filter(inScope);
+    const keyOf = (u) => `${u.instanceId}:${u.field}`;
+    const selected = () => shown.filter(u => !win.replaceExcluded.has(keyOf(u)));
+
+    addPanelAction(panel, '☑ All', 'Include every row', () => {
+        shown.forEach(u => win.replaceExcluded.delete(keyOf(u)));
+        refreshWindow(win);
+    });
+    addPanelAction(panel, '☐ None', 'Leave every row out', () => {
+        shown.forEach(u => win.replaceExcluded.add(keyOf(u)));
+        refreshWindow(win);
+    });
+
+    const toolbar = el('div', 'replace-toolbar');
+    toolbar.innerHTML = `
+        <div class="prop-row">
+            <span class="prop-label">Replace</span>
+            <span class="prop-value">${Model.iconFor(asset)} ${escapeHtml(asset.name)} <span class="row-detail">${asset.id} · ${asset.ownerId}</span></span>
+        </div>
+        <div class="prop-row">
+            <span class="prop-label">With</span>
+            <select class="prop-input replace-target">
+                <option value="">Choose a ${asset.type}…</option>
+                ${candidates.map(a => `<option value="${escapeHtml(a.id)}">${escapeHtml(a.name)} (${escapeHtml(a.id)} · ${escapeHtml(a.ownerId)})</option>`).join('')}
+            </select>
+        </div>
+        <div class="prop-row">
+            <span class="prop-label">In</span>
+            <select class="prop-input replace-scope">
+                ${scopes.map(s => `<option value="${escapeHtml(s.value)}">${s.label} (${s.count})</option>`).join('')}
+            </select>
+        </div>`;
+    body.appendChild(toolbar);
+
+    const targetSelect = toolbar.querySelector('.replace-target');
+    const scopeSelect = toolbar.querySelector('.replace-scope');
+    targetSelect.value = target ? target.id : '';
+    scopeSelect.value = win.replaceScope;
+    targetSelect.addEventListener('change', () => {
+        win.replaceTarget = targetSelect.value || null;
+        refreshWindow(win);
+    });
+    scopeSelect.addEventListener('change', () => {
+        win.replaceScope = scopeSelect.value;
+        refreshWindow(win);
+    });
+
+    if (shown.length === 0) {
+        body.insertAdjacentHTML('beforeend', `<div class="empty-hint">No direct usages of ${escapeHtml(asset.name)}${usages.length ? ' in this scope' : ''}</div>`);
+        return panel;
+    }
+
+    const replaceRow = (u) => {
+        const inst = world.get(u.instanceId);
+        const where = [world.get(u.ownerId), world.get(u.gameId), world.get(u.placeId)]
+            .map(n => escapeHtml(n.name || n.id)).join(' › ');
+        const blocked = target && !world.canUse(u.ownerId, target.id);
+        const row = el('div', 'tree-row replace-row');
+        row.dataset.key = keyOf(u);
+        row.dataset.itemId = u.instanceId;
+        row.classList.toggle('excluded', win.replaceExcluded.has(keyOf(u)));
+        row.innerHTML = `<input type="checkbox" class="replace-check" ${win.replaceExcluded.has(keyOf(u)) ? '' : 'checked'}>
+            <span class="row-icon">${Model.iconFor(inst)}</span>
+            <span class="row-name" title="${escapeHtml(u.path)}">${escapeHtml(u.instanceName)}</span>
+            <span class="row-detail">${where}${u.field === 'textureId' ? ' · as texture' : ''}</span>
+            ${versionTag(asset, u.version)}
+            ${blocked ? `<span class="prop-warning" title="${escapeHtml(target.name)} (${target.ownerId}) is not shared with ${u.ownerId}">⚠️</span>` : ''}
+            <span class="row-open" title="Show in place">&#x2197;</span>`;
+        return row;
+    };
+
+    const list = el('div', 'instance-tree replace-list');
+    const rows = createVirtualList(body, { rowHeight: TREE_ROW_HEIGHT, renderRow: replaceRow });
+    list.appendChild(rows.el);
+    body.appendChild(list);
+    rows.setRows(shown);
+
+    const footer = el('div', 'replace-footer');
+    footer.innerHTML = `<span class="replace-summary"></span>
+        <button class="owner-action replace-apply"></button>`;
+    body.appendChild(footer);
+    const summary = footer.querySelector('.replace-summary');
+    const apply = footer.querySelector('.replace-apply');
+    const updateFooter = () => {
+        const chosen = selected();
+        const pinned = chosen.filter(u => u.version).length;
+        summary.textContent = `${chosen.length} of ${shown.length} reference${shown.length !== 1 ? 's' : ''}`
+            + (pinned ? ` · ${pinned} pinned; they will follow the latest version of the new asset` : '');
+        apply.textContent = target ? `Replace with ${target.name}` : 'Replace';
+        apply.disabled = !target || chosen.length === 0;
+        apply.title = target ? '' : 'Choose an asset to replace with';
+    };
+    updateFooter();
+
+    list.addEventListener('click', (e) => {
+        const row = e.target.closest('.replace-row');
+        if (!row) return;
+        if (e.target.closest('.row-open')) {
+            revealInstance(row.dataset.itemId);
+            return;
+        }
+        const key = row.dataset.key;
+        if (win.replaceExcluded.has(key)) win.replaceExcluded.delete(key);
+        else win.replaceExcluded.add(key);
+        rows.refresh();
+        updateFooter();
+    });
+
+    apply.addEventListener('click', () => {
+        const chosen = selected();
+        const edits = chosen.map(u => ({ id: u.instanceId, field: u.field, value: target.id }));
+        try {
+            runCommand(setReferencesCommand(`Replace ${asset.name}`, edits));
+        } catch (err) {
+            showNotice(`Can't replace references: ${err.message}`, 'error');
+            return;
+        }
+        showNotice(`Replaced ${edits.length} reference${edits.length !== 1 ? 's' : ''} to ${asset.name} with ${target.name}`);
+    });
+    return panel;
+}
+
+// Scopes that hold usages, each place under its game and each game under
+// its owner: `[{ value, label, count, matches(usage) }]`, "Everywhere" first
+function replaceScopes(usages) {
+    const scopes = [{ value: '*', label: 'Everywhere', count: usages.length, matches: () => true }];
+    const tree = new Map();     // ownerId -> gameId -> Set of placeIds
+    for (const u of usages) {
+        if (!tree.has(u.ownerId)) tree.set(u.ownerId, new Map());
+        const games = tree.get(u.ownerId);
+        if (!games.has(u.gameId)) games.set(u.gameId, new Set());
+        games.get(u.gameId).add(u.placeId);
+    }
+    const add = (kind, id, depth) => {
+        const node = world.get(id);
+        const matches = (u) => u[`${kind}Id`] === id;
+        scopes.push({
+            value: `${kind}:${id}`,
+            label: `${'&nbsp;&nbsp;&nbsp;'.repeat(depth)}${Model.ICONS[kind === 'owner' ? node.type : kind]} ${escapeHtml(node.name || node.id)}`,
+            count: usages.filter(matches).length,
+            matches,
+        });
+    };
+    for (const [ownerId, games] of tree) {
+        add('owner', ownerId, 0);
+        for (const [gameId, places] of games) {
+            add('game', gameId, 1);
+            for (const placeId of places) add('place', placeId, 2);
+        }
+    }
+    return scopes;
+}
+
+// ─── Panel: Audit — unused assets ───────────────────────────────────────────
+
+function panelUnusedAssets(win, report) {
+    const panel = makePanel(`Unused assets (${report.unused.length})`, '🗑️');
+    const body = panel.querySelector('.panel-body');
+
+    addPanelAction(panel, 'JSON', 'Export report as JSON', () => exportAuditReport(report, 'json'));
+    addPanelAction(panel, 'CSV', 'Export report as CSV', () => exportAuditReport(report, 'csv'));
+
+    if (report.unused.length === 0) {
+        body.innerHTML = '<div class="empty-hint">Every inventory asset is used</div>';
+        return panel;
+    }
+
+    const list = el('div', 'panel-list');
+    for (const asset of report.unused) {
+        const row = el('div', 'list-row');
+        row.innerHTML = `<span class="row-icon">${Model.iconFor(asset)}</span>
+            <span class="row-name">${escapeHtml(asset.name)}</span>
+            <span class="row-detail">${escapeHtml(report.ownerId ? asset.type : `${asset.type} · ${asset.ownerId}`)}</span>
+            <span class="row-open" title="Open asset">&#x2197;</span>`;
+        row.querySelector('.row-open').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openAssetWindow(asset.id);
+        });
+        list.appendChild(row);
+    }
+    body.appendChild(list);
+    return panel;
+}
+
+// ─── Panel: Audit — broken references ───────────────────────────────────────
+
+function panelBrokenRefs(win, report) {
+    const panel = makePanel(`Broken references (${report.broken.length})`, '⛓️');
+    const body = panel.querySelector('.panel-body');
+
+    if (report.broken.length === 0) {
+        body.innerHTML = '<div class="empty-hint">No references to missing assets</div>';
+        return panel;
+    }
+
+    const list = el('div', 'panel-list');
+    for (const { instance, place, package: pkg, field, refId } of report.broken) {
+        const row = el('div', 'list-row');
+        row.innerHTML = `<span class="row-icon">${Model.iconFor(instance)}</span>
+            <span class="row-name">${escapeHtml(instance.name)}</span>
+            <span class="row-detail">${field} → ${escapeHtml(refId)} · in ${escapeHtml(place ? place.name : pkg.name)}</span>
+            <span class="row-open" title="${place ? 'Open place' : 'Open package'}">&#x2197;</span>`;
+        row.querySelector('.row-open').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (place) revealInstance(instance.id);
+            else openAssetWindow(pkg.id);
+        });
+        list.appendChild(row);
+    }
+    body.appendChild(list);
+    return panel;
+}
+
+// ─── Panel: Audit — sharing violations ──────────────────────────────────────
+
+function panelAccessViolations(win, report) {
+    const panel = makePanel(`Sharing violations (${report.violations.length})`, '🔒');
+    const body = panel.querySelector('.panel-body');
+
+    if (report.violations.length === 0) {
+        body.innerHTML = '<div class="empty-hint">Every reference is allowed by the asset\'s sharing</div>';
+        return panel;
+    }
+
+    const list = el('div', 'panel-list');
+    for (const { instance, place, package: pkg, field, asset } of report.violations) {
+        const row = el('div', 'list-row');
+        row.innerHTML = `<span class="row-icon">${Model.iconFor(instance)}</span>
+            <span class="row-name">${escapeHtml(instance.name)}</span>
+            <span class="row-detail">${REF_LABELS[field]} ${escapeHtml(asset.name)} · ${escapeHtml(asset.ownerId)}, ${escapeHtml(world.getAccess(asset).access)} · in ${escapeHtml(place ? place.name : pkg.name)}</span>
+            <span class="row-open" title="${place ? 'Open place' : 'Open package'}">&#x2197;</span>`;
+        row.querySelector('.row-open').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (place) revealInstance(instance.id);
+            else openAssetWindow(pkg.id);
+        });
+        list.appendChild(row);
+    }
+    body.appendChild(list);
+    return panel;
+}
+
+function exportAuditReport(report, format) {
+    const rows = [
+        ...report.unused.map(a => ({
+            problem: 'unused', ownerId: a.ownerId, id: a.id, name: a.name, type: a.type,
+            placeId: '', field: '', refId: '', packageId: '',
+        })),
+        ...report.broken.map(b => ({
+            problem: 'broken-ref', ownerId: (b.place || b.package).ownerId, id: b.instance.id, name: b.instance.name,
+            type: b.instance.class, placeId: b.place ? b.place.id : '', field: b.field, refId: b.refId,
+            packageId: b.package ? b.package.id : '',
+        })),
+        ...report.violations.map(v => ({
+            problem: 'not-shared', ownerId: v.userId, id: v.instance.id, name: v.instance.name,
+            type: v.instance.class, placeId: v.place ? v.place.id : '', field: v.field, refId: v.asset.id,
+            packageId: v.package ? v.package.id : '',
+        })),
+    ];
+    const base = `audit-${report.ownerId || 'all'}`;
+
+    if (format === 'csv') {
+        const cols = Object.keys(rows[0] || { problem: '' });
+        const csv = [cols.join(','), ...rows.map(r => cols.map(c => csvCell(r[c])).join(','))].join('\n');
+        downloadFile(`${base}.csv`, csv, 'text/csv');
+    } else {
+        downloadFile(`${base}.json`, JSON.stringify({ ownerId: report.ownerId, problems: rows }, null, 2), 'application/json');
+    }
+}
+
+// ─── Panel: Load diagnostics ────────────────────────────────────────────────
+
+function panelDiagnostics(win) {
+    const problems = world.diagnostics;
+    const errors = problems.filter(p => p.severity === 'error').length;
+    const panel = makePanel(`Problems (${errors} errors, ${problems.length - errors} warnings)`, '⚠️');
+    const body = panel.querySelector('.panel-body');
+
+    if (problems.length === 0) {
+        body.innerHTML = '<div class="empty-hint">Data loaded without problems</div>';
+        return panel;
+    }
+
+    const list = el('div', 'panel-list');
+    for (const problem of problems) {
+        const row = el('div', `list-row diag-row diag-${problem.severity}`);
+        const target = problem.id ? world.get(problem.id) : null;
+        row.innerHTML = `<span class="row-icon">${problem.severity === 'error' ? '⛔' : '⚠️'}</span>
+            <span class="row-name">${escapeHtml(problem.message)}
+                <span class="diag-path">${problem.source ? `${escapeHtml(problem.source)} · ` : ''}${escapeHtml(problem.path)}</span></span>
+            ${target ? '<span class="row-open" title="Open">&#x2197;</span>' : ''}`;
+        if (target) {
+            row.querySelector('.row-open').addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (target.kind === 'instance') revealInstance(target.id);
+                else openAssetWindow(target.id);
+            });
+        }
+        list.appendChild(row);
+    }
+    body.appendChild(list);
+    return panel;
+}
+
+// ─── Panel: Changes since load (review before export) ──────────────────────
+
+const CHANGE_KIND_ICONS = { owner: '👤', game: '🎮', place: '🗺️' };
+
+function panelChanges(win) {
+    const diff = Model.diffData(world.source, world.toJSON());
+    const total = diff.added.length + diff.removed.length + diff.changed.length;
+    const panel = makePanel(`Changes since load (${total})`, '📝');
+    const body = panel.querySelector('.panel-body');
+
+    addPanelAction(panel, '⤓ owners.json', 'Download the current World as owners.json', () => {
+        downloadFile('owners.json', JSON.stringify(world.toJSON(), null, 2), 'application/json');
+    });
+
+    if (total === 0) {
+        body.innerHTML = '<div class="empty-hint">No changes since the data was loaded</div>';
+        return panel;
+    }
+
+    const list = el('div', 'panel-list');
+    const section = (title, entries, describe) => {
+        if (entries.length === 0) return;
+        const hdr = el('div', 'change-group');
+        hdr.textContent = `${title} (${entries.length})`;
+        list.appendChild(hdr);
+        for (const entry of entries) {
+            const { record, kind } = entry;
+            const live = world.get(entry.id);
+            const row = el('div', `list-row change-row change-${title.toLowerCase()}`);
+            row.innerHTML = `<span class="row-icon">${CHANGE_KIND_ICONS[kind] || Model.iconFor(record)}</span>
+                <span class="row-name">${escapeHtml(record.name || entry.id)}
+                    <span class="change-detail">${describe(entry)}</span></span>
+                <span class="row-class">${kind}</span>
+                ${live ? '<span class="row-open" title="Open">&#x2197;</span>' : ''}`;
+            if (live) {
+                row.querySelector('.row-open').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    if (live.kind === 'instance') revealInstance(live.id);
+                    else openAssetWindow(live.id);
+                });
+            }
+            list.appendChild(row);
+        }
+    };
+
+    const where = ({ id, record }) => {
+        if (!record.placeId) return escapeHtml(id);
+        const place = world.get(record.placeId);
+        return `${escapeHtml(id)} in ${escapeHtml(place ? place.name : record.placeId)}`;
+    };
+    section('Added', diff.added, where);
+    section('Removed', diff.removed, where);
+    section('Changed', diff.changed, ({ fields }) => fields.map(f =>
+        `${f.field}: ${escapeHtml(formatValue(f.before))} → ${escapeHtml(formatValue(f.after))}`).join('<br>'));
+
+    body.appendChild(list);
+    return panel;
+}
+
+function formatValue(value) {
+    if (value === null) return '—';
+    if (Array.isArray(value)) return `[${value.join(', ')}]`;
+    if (typeof value === 'string' && value.startsWith('data:')) return mediaLabel(value);
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// ─── Panel: Duplicate assets ────────────────────────────────────────────────
+// Groups from World.findDuplicates, one card per asset side by side. The
+// card marked Keep is the canonical asset a merge folds the others into.
+
+const DUPLICATE_REASONS = { name: 'same name', content: 'same content' };
+
+function panelDuplicates(win) {
+    const groups = world.findDuplicates();
+    const panel = makePanel(`Duplicate groups (${groups.length})`, '🪞');
+    const body = panel.querySelector('.panel-body');
+
+    if (groups.length === 0) {
+        body.innerHTML = '<div class="empty-hint">No assets look like duplicates</div>';
+        return panel;
+    }
+
+    // The chosen canonical asset per group, keyed by the group's asset ids
+    if (!win.duplicateKeep) win.duplicateKeep = new Map();
+    const uses = (asset) => world.getUsages(asset.id, { indirect: true }).length + world.getContainingPackages(asset.id).length;
+
+    const list = el('div', 'dup-groups');
+    for (const group of groups) {
+        const key = group.assets.map(a => a.id).join(',');
+        const busiest = group.assets.reduce((best, a) => (uses(a) > uses(best) ? a : best));
+        const keep = group.assets.find(a => a.id === win.duplicateKeep.get(key)) || busiest;
+        const drops = group.assets.filter(a => a !== keep);
+
+        // References the merge would repoint that the kept asset's sharing
+        // doesn't allow: from place instances and from packages holding a duplicate
+        const holders = (a) => world.getContainingPackages(a.id)
+            .filter(pkgId => world.getPackageRefs(pkgId).some(r => r.refId === a.id));
+        const blocked = drops.flatMap(a => [
+            ...world.getUsages(a.id).map(u => u.ownerId),
+            ...holders(a).map(pkgId => world.get(pkgId).ownerId),
+        ]).filter(ownerId => !world.canUse(ownerId, keep.id)).length;
+        const moving = drops.reduce((n, a) => n + world.getUsages(a.id).length, 0);
+        const packages = new Set(drops.flatMap(holders).filter(pkgId => !drops.some(a => a.id === pkgId))).size;
+
+        const card = el('div', 'dup-group');
+        card.innerHTML = `
+            <div class="dup-group-header">
+                <span class="row-icon">${Model.ICONS[keep.type] || '📎'}</span>
+                <span class="row-name">${escapeHtml(Model.normalizeAssetName(keep.name, keep.ownerId))}</span>
+                ${group.reasons.map(r => `<span class="version-tag">${DUPLICATE_REASONS[r]}</span>`).join('')}
+            </div>
+            <div class="dup-assets">
+                ${group.assets.map(a => duplicateCardHtml(a, a === keep, key)).join('')}
+            </div>
+            <div class="dup-group-footer">
+                <span class="replace-summary">Repoints ${moving} reference${moving !== 1 ? 's' : ''}${packages ? ` and ${packages} package${packages !== 1 ? 's' : ''}` : ''},
+                    removes ${drops.length} asset${drops.length !== 1 ? 's' : ''}</span>
+                ${blocked ? `<span class="prop-warning" title="${escapeHtml(keep.name)} (${keep.ownerId}) is not shared with every owner whose references move">⚠️ ${blocked} would break sharing</span>` : ''}
+                <button class="owner-action replace-apply dup-merge">Merge into ${escapeHtml(keep.name)}</button>
+            </div>`;
+
+        card.querySelectorAll('.dup-keep').forEach(radio => radio.addEventListener('change', () => {
+            win.duplicateKeep.set(key, radio.value);
+            refreshWindow(win);
+        }));
+        card.querySelectorAll('.row-open').forEach(link => {
+            link.addEventListener('click', () => openAssetWindow(link.dataset.id));
+        });
+        card.querySelector('.dup-merge').addEventListener('click', () => {
+            try {
+                runCommand(mergeAssetsCommand(keep.id, drops.map(a => a.id)));
+            } catch (err) {
+                showNotice(`Can't merge: ${err.message}`, 'error');
+                return;
+            }
+            win.duplicateKeep.delete(key);
+            showNotice(`Merged ${drops.map(a => a.name).join(', ')} into ${keep.name}`);
+        });
+        list.appendChild(card);
+    }
+    body.appendChild(list);
+    return panel;
+}
+
+function duplicateCardHtml(asset, isKeep, groupKey) {
+    const direct = world.getUsages(asset.id).length;
+    const indirect = world.getUsages(asset.id, { indirect: true }).length - direct;
+    const packages = world.getContainingPackages(asset.id).length;
+    const { url } = Model.MEDIA_TYPES.includes(asset.type) ? assetMediaUrl(asset) : {};
+    const thumb = url && asset.type === 'image'
+        ? `<img class="dup-thumb" src="${escapeHtml(url)}" alt="">`
+        : `<span class="dup-thumb dup-thumb-icon" style="background: hsl(${hashToHue(asset.id)}, 40%, 30%)">${Model.iconFor(asset)}</span>`;
+    return `<div class="dup-asset${isKeep ? ' dup-canonical' : ''}">
+        ${thumb}
+        <div class="dup-asset-name">
+            <span class="row-name">${escapeHtml(asset.name)}</span>
+            <span class="row-open" data-id="${escapeHtml(asset.id)}" title="Open ${escapeHtml(asset.name)}">&#x2197;</span>
+        </div>
+        ${propRow('ID', escapeHtml(asset.id))}
+        ${propRow('Owner', escapeHtml(asset.ownerId))}
+        ${propRow('Sharing', accessLabel(asset))}
+        ${propRow('Usages', `${direct}${indirect ? ` + ${indirect} indirect` : ''}`)}
+        ${packages ? propRow('In packages', packages) : ''}
+        ${world.latestVersion(asset) ? propRow('Versions', world.latestVersion(asset)) : ''}
+        <label class="dup-keep-label"><input type="radio" class="dup-keep" name="keep-${escapeHtml(groupKey)}" value="${escapeHtml(asset.id)}" ${isKeep ? 'checked' : ''}> Keep</label>
+    </div>`;
+}
+
+// ─── Panel: Items ───────────────────────────────────────────────────────────
+// Every node a search query matches (see World.search), behind the counts
+// on the dashboard. Runs the query again on each change.
+
+const REFS_LABELS = { inventory: 'references inventory', other: "references another owner's asset", none: 'no inventory references' };
+
+// "class:Part place:p1" reads as "Part · Lobby"
+function itemsTitle(query) {
+    return query.trim().split(/\s+/).map(token => {
+        const m = token.match(/^(\w+):(.*)$/);
+        if (!m) return `"${token}"`;
+        const [, filter, value] = m;
+        switch (filter.toLowerCase()) {
+            case 'owner':
+            case 'game':
+            case 'place': {
+                const node = world.get(value);
+                return node ? node.name || node.id : value;
+            }
+            case 'kind': return `${value}s`;
+            case 'refs': return REFS_LABELS[value.toLowerCase()] || token;
+            default: return value;
+        }
+    }).join(' · ');
+}
+
+function panelItems(win) {
+    const query = win.node.query;
+    const results = world.search(query, Infinity).map(r => r.node);
+    const panel = makePanel(`Items (${results.length})`, '📋');
+    const body = panel.querySelector('.panel-body');
+
+    addPanelAction(panel, '🔍 Search', `Edit the query: ${query}`, () => {
+        palette.input.value = query;
+        openPalette();
+    });
+
+    if (results.length === 0) {
+        body.innerHTML = '<div class="empty-hint">Nothing matches</div>';
+        return panel;
+    }
+
+    const list = el('div', 'panel-list');
+    const rows = createVirtualList(body, {
+        rowHeight: LIST_ROW_HEIGHT,
+        renderRow: (node) => {
+            const crumbs = world.getBreadcrumb(node).map(n => n.name || n.id).join(' › ');
+            const row = el('div', 'list-row');
+            row.innerHTML = `<span class="row-icon">${titleIcon(node)}</span>
+                <span class="row-name">${escapeHtml(node.name || node.id)}</span>
+                <span class="row-detail">${escapeHtml([node.class || node.type || node.kind, crumbs].filter(Boolean).join(' · '))}</span>
+                <span class="row-open" title="Open">&#x2197;</span>`;
+            row.dataset.itemId = node.id;
+            row.classList.toggle('selected', node.id === win.selection);
+            return row;
+        },
+    });
+    list.appendChild(rows.el);
+    body.appendChild(list);
+    rows.setRows(results);
+
+    // Rows select (and link); the open button or a double-click opens them,
+    // instances in their place
+    const open = (id) => {
+        if (world.get(id).kind === 'instance') revealInstance(id);
+        else openAssetWindow(id);
+    };
+    list.addEventListener('click', (e) => {
+        const row = e.target.closest('.list-row');
+        if (!row) return;
+        if (e.target.closest('.row-open')) open(row.dataset.itemId);
+        else setWindowSelection(win, row.dataset.itemId);
+    });
+    list.addEventListener('dblclick', (e) => {
+        const row = e.target.closest('.list-row');
+        if (row) open(row.dataset.itemId);
+    });
+
+    win.onSelectionChange.push(() => {
+        rows.scrollToIndex(results.findIndex(n => n.id === win.selection));
+        list.querySelectorAll('.list-row').forEach(r =>
+            r.classList.toggle('selected', r.dataset.itemId === win.selection));
+    });
+
+    return panel;
+}
+
+// ─── Panel: Reference graph ─────────────────────────────────────────────────
+
+// Asset types that live in inventories (games and places are World nodes)
+const INVENTORY_TYPES = ['package', 'mesh', 'image', 'audio'];
+
+function panelReferenceGraph(win) {
+    const panel = makePanel('References', '🕸️');
+    const body = panel.querySelector('.panel-body');
+    body.classList.add('graph-body');
+
+    // Filters and pan/zoom live on the window so refreshes keep them
+    if (!win.graphFilter) win.graphFilter = { ownerId: null, assetType: null };
+    if (!win.graphView) win.graphView = {};
+
+    const toolbar = el('div', 'graph-toolbar');
+    toolbar.innerHTML = `
+        <select class="prop-input graph-owner" title="Owner">
+            <option value="">All owners</option>
+            ${world.owners.map(o => `<option value="${escapeHtml(o.id)}">${Model.ICONS[o.type] || ''} ${escapeHtml(o.id)}</option>`).join('')}
+        </select>
+        <select class="prop-input graph-type" title="Asset type">
+            <option value="">All asset types</option>
+            ${INVENTORY_TYPES.map(t => `<option value="${t}">${Model.ICONS[t]} ${t}</option>`).join('')}
+        </select>
+        <span class="graph-legend">${RefGraph.GRAPH_LAYERS.map(l => `<span class="graph-key graph-key-${l}">${l}</span>`).join('')}</span>`;
+    body.appendChild(toolbar);
+
+    const ownerSelect = toolbar.querySelector('.graph-owner');
+    const typeSelect = toolbar.querySelector('.graph-type');
+    ownerSelect.value = win.graphFilter.ownerId || '';
+    typeSelect.value = win.graphFilter.assetType || '';
+
+    const stage = el('div', 'graph-stage');
+    body.appendChild(stage);
+    const graph = RefGraph.createGraphView(stage, {
+        view: win.graphView,
+        onOpen: (id) => {
+            const node = world.get(id);
+            if (node && node.kind === 'instance') revealInstance(id);
+            else openAssetWindow(id);
+        },
+    });
+    graph.setGraph(world.getReferenceGraph(win.graphFilter));
+
+    const onFilter = () => {
+        win.graphFilter = { ownerId: ownerSelect.value || null, assetType: typeSelect.value || null };
+        graph.setGraph(world.getReferenceGraph(win.graphFilter));
+        graph.fit();
+    };
+    ownerSelect.addEventListener('change', onFilter);
+    typeSelect.addEventListener('change', onFilter);
+
+    addPanelAction(panel, '⤢', 'Fit graph to window', () => graph.fit());
+    return panel;
+}
+
+// ─── Panel: Generic properties ──────────────────────────────────────────────
+
+function panelGenericProperties(win) {
+    const node = win.node;
+    const panel = makePanel('Properties', '⚙');
+    const body = panel.querySelector('.panel-body');
+
+    const props = el('div', 'props');
+    props.innerHTML = `<div class="prop-group">
+        <div class="prop-group-title">Info</div>
+        ${propRow('ID', node.id)}
+        ${propRow('Kind', node.kind)}
+        ${node.name ? propRow('Name', node.name) : ''}
+    </div>`;
+    body.appendChild(props);
+    return panel;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+function makePanel(title, icon) {
     const panel = el('div', 'panel');
     panel.innerHTML = `<div class="panel-header"><span class="panel-hdr-icon">${icon}</span><span class="panel-hdr-title">${title}</span></div>`;
     const body = el('div', 'panel-body');
@@ -652,89 +2440,1327 @@ function makePanel(title, icon) {
     return panel;
 }
 
-function propRow(label, value) {
-    return `<div class="prop-row"><span class="prop-label">${label}</span><span class="prop-value">${value}</span></div>`;
+function addPanelAction(panel, icon, title, onClick) {
+    const header = panel.querySelector('.panel-header');
+    let actions = header.querySelector('.panel-hdr-actions');
+    if (!actions) {
+        actions = el('div', 'panel-hdr-actions');
+        header.appendChild(actions);
+    }
+    const btn = el('span', 'panel-hdr-btn');
+    btn.title = title;
+    btn.textContent = icon;
+    btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+    });
+    actions.appendChild(btn);
+    return btn;
+}
+
+function propRow(label, value) {
+    return `<div class="prop-row"><span class="prop-label">${label}</span><span class="prop-value">${value}</span></div>`;
+}
+
+function el(tag, cls) {
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    return e;
+}
+
+function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[ch]);
+}
+
+function rgbToHex(rgb) {
+    return '#' + rgb.map(c => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+function hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(c => +(c / 255).toFixed(3));
+}
+
+function csvCell(value) {
+    const str = String(value ?? '');
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function downloadFile(filename, text, mime) {
+    const url = URL.createObjectURL(new Blob([text], { type: mime }));
+    const a = el('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function hashToHue(str) {
+    let h = 0;
+    for (let i = 0; i < str.length; i++) h = (h * 31 + str.charCodeAt(i)) & 0xffffff;
+    return h % 360;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Virtual lists
+// ─────────────────────────────────────────────────────────────────────────────
+// Long lists only keep the rows in and near view in the DOM. Rows have a
+// fixed height and are absolutely positioned inside a spacer as tall as the
+// whole list; `scroller` is the element that scrolls (usually a panel body).
+// Handlers belong on a container, not on rows, since rows are rebuilt as
+// the list scrolls.
+
+const TREE_ROW_HEIGHT = 24;
+const LIST_ROW_HEIGHT = 32;
+const VIRTUAL_OVERSCAN = 8;     // rows rendered beyond each edge of the view
+
+function createVirtualList(scroller, { rowHeight, renderRow, onResize = null }) {
+    const content = el('div', 'virtual-list');
+    let rows = [];
+    let rendered = null;        // [first, last) currently in the DOM
+
+    function render(force = false) {
+        // Offset of the list within the scroller, for content above it
+        const offset = content.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+        const top = scroller.scrollTop - offset;
+        const height = scroller.clientHeight || window.innerHeight;
+        const first = Math.max(0, Math.floor(top / rowHeight) - VIRTUAL_OVERSCAN);
+        const last = Math.min(rows.length, Math.ceil((top + height) / rowHeight) + VIRTUAL_OVERSCAN);
+        if (!force && rendered && rendered[0] === first && rendered[1] === last) return;
+        rendered = [first, last];
+
+        const frag = document.createDocumentFragment();
+        for (let i = first; i < last; i++) {
+            const row = renderRow(rows[i], i);
+            row.style.top = `${i * rowHeight}px`;
+            row.style.height = `${rowHeight}px`;
+            frag.appendChild(row);
+        }
+        content.replaceChildren(frag);
+    }
+
+    scroller.addEventListener('scroll', () => render());
+    let mounted = false;
+    const observer = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(() => {
+        // Lists are built before they are mounted; stop once one is removed
+        if (!scroller.isConnected) {
+            if (mounted) observer.disconnect();
+            return;
+        }
+        mounted = true;
+        if (onResize) onResize();
+        render();
+    }) : null;
+    if (observer) observer.observe(scroller);
+
+    return {
+        el: content,
+        get rows() { return rows; },
+
+        setRows(next) {
+            rows = next;
+            content.style.height = `${rows.length * rowHeight}px`;
+            render(true);
+        },
+
+        /** Re-render the visible rows, e.g. after the selection changed. */
+        refresh() {
+            render(true);
+        },
+
+        /** Scroll just enough to bring row `index` into view. */
+        scrollToIndex(index) {
+            if (index < 0 || index >= rows.length) return;
+            const offset = content.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+            const rowTop = offset + index * rowHeight;
+            const height = scroller.clientHeight;
+            if (rowTop < scroller.scrollTop) scroller.scrollTop = rowTop;
+            else if (height && rowTop + rowHeight > scroller.scrollTop + height) scroller.scrollTop = rowTop + rowHeight - height;
+            render();
+        },
+    };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Window dragging
+// ─────────────────────────────────────────────────────────────────────────────
+
+function setupWindowDrag(winEl, titleBar, win) {
+    let dragging = false, sx, sy, ix, iy, zone = null;
+
+    titleBar.addEventListener('mousedown', (e) => {
+        if (e.target.closest('.win-btn, .win-link')) return;
+        dragging = true;
+        zone = null;
+        sx = e.clientX; sy = e.clientY;
+        ix = winEl.offsetLeft; iy = winEl.offsetTop;
+        winEl.classList.add('dragging');
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    });
+
+    function onMove(e) {
+        if (!dragging) return;
+
+        // Pulling a maximized or snapped window away restores its size,
+        // keeping the grab point proportionally under the cursor
+        if ((win.maximized || win.snapped) && Math.hypot(e.clientX - sx, e.clientY - sy) > 4) {
+            const ratio = (sx - ix) / win.width;
+            unsnapWindow(win);
+            ix = sx - win.width * ratio;
+        }
+        if (win.maximized || win.snapped) return;
+
+        win.x = ix + e.clientX - sx;
+        win.y = iy + e.clientY - sy;
+        clampWindow(win);
+        winEl.style.left = `${win.x}px`;
+        winEl.style.top = `${win.y}px`;
+
+        zone = snapZoneAt(e.clientX, e.clientY);
+        showSnapPreview(zone);
+    }
+
+    function onUp() {
+        dragging = false;
+        winEl.classList.remove('dragging');
+        showSnapPreview(null);
+        if (zone) snapWindow(win, zone);
+        scheduleWorkspaceSave();
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Window resizing
+// ─────────────────────────────────────────────────────────────────────────────
+
+function setupWindowResize(winEl, win) {
+    const handle = el('div', 'resize-handle');
+    winEl.appendChild(handle);
+
+    let resizing = false, sx, sy, iw, ih;
+
+    handle.addEventListener('mousedown', (e) => {
+        e.stopPropagation();
+        resizing = true;
+        sx = e.clientX; sy = e.clientY;
+        iw = winEl.offsetWidth; ih = winEl.offsetHeight;
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    });
+
+    function onMove(e) {
+        if (!resizing) return;
+        if (win.maximized || win.snapped) {
+            win.maximized = false;
+            win.snapped = null;
+            win.restoreRect = null;
+            winEl.classList.remove('maximized');
+        }
+        const nw = Math.max(300, iw + e.clientX - sx);
+        const nh = Math.max(200, ih + e.clientY - sy);
+        winEl.style.width = `${nw}px`;
+        winEl.style.height = `${nh}px`;
+        win.width = nw; win.height = nh;
+    }
+
+    function onUp() {
+        resizing = false;
+        scheduleWorkspaceSave();
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Window states, snapping & taskbar
+// ─────────────────────────────────────────────────────────────────────────────
+
+const SNAP_EDGE = 12;           // px from a screen edge that triggers snapping
+const SNAP_CORNER = 80;         // px along an edge that counts as a corner
+const TITLEBAR_GRIP = 80;       // px of title bar that must stay on screen
+const TITLEBAR_HEIGHT = 32;
+
+function workArea() {
+    const layer = document.getElementById('windows-layer');
+    return { w: layer.clientWidth, h: layer.clientHeight };
+}
+
+// Keep enough of the title bar on screen to grab the window again
+function clampWindow(win) {
+    const { w, h } = workArea();
+    win.x = Math.min(Math.max(win.x, TITLEBAR_GRIP - win.width), w - TITLEBAR_GRIP);
+    win.y = Math.min(Math.max(win.y, 0), h - TITLEBAR_HEIGHT);
+}
+
+function snapZoneAt(clientX, clientY) {
+    const layer = document.getElementById('windows-layer').getBoundingClientRect();
+    const x = clientX - layer.left, y = clientY - layer.top;
+    const { w, h } = workArea();
+    const left = x <= SNAP_EDGE, right = x >= w - SNAP_EDGE;
+    const top = y <= SNAP_EDGE;
+
+    if (left || right) {
+        const side = left ? 'left' : 'right';
+        if (y <= SNAP_CORNER) return `top-${side}`;
+        if (y >= h - SNAP_CORNER) return `bottom-${side}`;
+        return side;
+    }
+    if (top) return 'max';
+    return null;
+}
+
+function snapZoneRect(zone) {
+    const { w, h } = workArea();
+    const hw = Math.round(w / 2), hh = Math.round(h / 2);
+    switch (zone) {
+        case 'left': return { x: 0, y: 0, width: hw, height: h };
+        case 'right': return { x: hw, y: 0, width: w - hw, height: h };
+        case 'top-left': return { x: 0, y: 0, width: hw, height: hh };
+        case 'top-right': return { x: hw, y: 0, width: w - hw, height: hh };
+        case 'bottom-left': return { x: 0, y: hh, width: hw, height: h - hh };
+        case 'bottom-right': return { x: hw, y: hh, width: w - hw, height: h - hh };
+        default: return { x: 0, y: 0, width: w, height: h };
+    }
+}
+
+function showSnapPreview(zone) {
+    let preview = document.querySelector('.snap-preview');
+    if (!zone) {
+        if (preview) preview.remove();
+        return;
+    }
+    if (!preview) {
+        preview = el('div', 'snap-preview');
+        document.getElementById('windows-layer').appendChild(preview);
+    }
+    const r = snapZoneRect(zone);
+    Object.assign(preview.style, {
+        left: `${r.x}px`, top: `${r.y}px`, width: `${r.width}px`, height: `${r.height}px`,
+    });
+}
+
+function windowRect(win) {
+    return { x: win.x, y: win.y, width: win.width, height: win.height };
+}
+
+function snapWindow(win, zone) {
+    if (zone === 'max') {
+        if (!win.maximized) toggleMaximize(win);
+        return;
+    }
+    if (!win.restoreRect) win.restoreRect = windowRect(win);
+    win.snapped = zone;
+    Object.assign(win, snapZoneRect(zone));
+    applyWindowGeometry(win);
+    scheduleWorkspaceSave();
+}
+
+function unsnapWindow(win) {
+    if (win.restoreRect) Object.assign(win, { width: win.restoreRect.width, height: win.restoreRect.height });
+    win.maximized = false;
+    win.snapped = null;
+    win.restoreRect = null;
+    win.el.classList.remove('maximized');
+    applyWindowGeometry(win);
+}
+
+function toggleMaximize(win) {
+    if (win.maximized) {
+        Object.assign(win, win.restoreRect);
+        win.maximized = false;
+        win.restoreRect = null;
+    } else {
+        if (!win.restoreRect) win.restoreRect = windowRect(win);
+        win.maximized = true;
+        win.snapped = null;
+        Object.assign(win, snapZoneRect('max'));
+    }
+    win.el.classList.toggle('maximized', win.maximized);
+    applyWindowGeometry(win);
+    bringToFront(win);
+}
+
+function minimizeWindow(win) {
+    win.minimized = true;
+    win.el.classList.add('minimized');
+    renderTaskbar();
+    scheduleWorkspaceSave();
+}
+
+function restoreWindow(win) {
+    win.minimized = false;
+    win.el.classList.remove('minimized');
+    bringToFront(win);
+}
+
+function frontWindow() {
+    return openWindows.filter(w => !w.minimized).sort((a, b) => b.z - a.z)[0] || null;
+}
+
+// Lay visible windows out in a grid filling the work area
+function tileAllWindows() {
+    const wins = openWindows.filter(w => !w.minimized).sort((a, b) => a.z - b.z);
+    if (wins.length === 0) return;
+    const { w, h } = workArea();
+    const cols = Math.ceil(Math.sqrt(wins.length));
+    const rows = Math.ceil(wins.length / cols);
+    wins.forEach((win, i) => {
+        const col = i % cols, row = Math.floor(i / cols);
+        Object.assign(win, {
+            x: Math.round(col * w / cols),
+            y: Math.round(row * h / rows),
+            width: Math.round(w / cols),
+            height: Math.round(h / rows),
+            maximized: false, snapped: null, restoreRect: null,
+        });
+        win.el.classList.remove('maximized');
+        applyWindowGeometry(win);
+    });
+    scheduleWorkspaceSave();
+}
+
+function cascadeAllWindows() {
+    const wins = openWindows.filter(w => !w.minimized).sort((a, b) => a.z - b.z);
+    wins.forEach((win, i) => {
+        const size = windowSizeFor(win.node);
+        Object.assign(win, {
+            x: 80 + (i % 8) * 28,
+            y: 60 + (i % 8) * 28,
+            width: size.w,
+            height: size.h,
+            maximized: false, snapped: null, restoreRect: null,
+        });
+        win.el.classList.remove('maximized');
+        applyWindowGeometry(win);
+        bringToFront(win);
+    });
+}
+
+// Keep maximized/snapped windows fitted and the rest reachable
+function onViewportResize() {
+    for (const win of openWindows) {
+        if (win.maximized) Object.assign(win, snapZoneRect('max'));
+        else if (win.snapped) Object.assign(win, snapZoneRect(win.snapped));
+        else clampWindow(win);
+        applyWindowGeometry(win);
+    }
+}
+
+function renderTaskbar() {
+    const items = document.querySelector('#taskbar .taskbar-items');
+    if (!items) return;
+    const front = frontWindow();
+    items.innerHTML = '';
+    for (const win of openWindows) {
+        const item = el('div', 'taskbar-item');
+        item.classList.toggle('active', win === front);
+        item.classList.toggle('minimized', win.minimized);
+        item.title = titleName(win.node);
+        item.innerHTML = `<span class="row-icon">${titleIcon(win.node)}</span>
+            <span class="taskbar-name">${titleName(win.node)}</span>`;
+        item.addEventListener('click', () => {
+            if (win.minimized) restoreWindow(win);
+            else if (win === frontWindow()) minimizeWindow(win);
+            else bringToFront(win);
+        });
+        items.appendChild(item);
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Drag & drop: inventory assets → places
+// ─────────────────────────────────────────────────────────────────────────────
+
+const ASSET_DRAG_TYPE = 'application/x-inventory-asset';
+
+// Classes that hold other instances; drops onto them nest inside
+const CONTAINER_CLASSES = ['Model', 'Folder'];
+
+function makeAssetDraggable(elem, asset) {
+    if (!instanceDataForAsset(asset)) return;
+    elem.draggable = true;
+    elem.classList.add('asset-draggable');
+    elem.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData(ASSET_DRAG_TYPE, asset.id);
+        e.dataTransfer.setData('text/plain', asset.id);
+        e.dataTransfer.effectAllowed = 'copy';
+    });
+}
+
+function acceptAssetDrops(target, onDrop) {
+    const accepts = (e) => Array.from(e.dataTransfer.types).includes(ASSET_DRAG_TYPE);
+    target.addEventListener('dragover', (e) => {
+        if (!accepts(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        target.classList.add('drop-target');
+    });
+    target.addEventListener('dragleave', (e) => {
+        if (!target.contains(e.relatedTarget)) target.classList.remove('drop-target');
+    });
+    target.addEventListener('drop', (e) => {
+        target.classList.remove('drop-target');
+        if (!accepts(e)) return;
+        e.preventDefault();
+        onDrop(e.dataTransfer.getData(ASSET_DRAG_TYPE), e);
+    });
+}
+
+// The instance an asset becomes when dropped into a place
+function instanceDataForAsset(asset) {
+    switch (asset.type) {
+        case 'mesh': return { class: 'MeshPart', name: asset.name, meshId: asset.id };
+        case 'image': return { class: 'Decal', name: asset.name, imageId: asset.id };
+        case 'package': return { class: 'PackageLink', name: asset.name, packageId: asset.id };
+        default: return null;
+    }
+}
+
+function dropAssetIntoPlace(win, assetId, { parentId = null, position = null } = {}) {
+    const asset = world.get(assetId);
+    const data = asset && asset.kind === 'asset' ? instanceDataForAsset(asset) : null;
+    if (!data) {
+        showNotice(`${asset ? asset.name : assetId} can't be placed as an instance`, 'warning');
+        return;
+    }
+    data.id = world.newId();
+    if (position) data.position = position;
+    runCommand(addInstanceCommand(win.node.id, data, parentId));
+    setWindowSelection(win, data.id);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Roblox XML import
+// ─────────────────────────────────────────────────────────────────────────────
+// A local .rbxmx/.rbxlx file becomes a new place under a game. Parsing
+// happens in the browser (rbxmx.js); the place is added as one undoable
+// command.
+
+function pickRobloxFile(gameId) {
+    const input = el('input');
+    input.type = 'file';
+    input.accept = '.rbxmx,.rbxlx';
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        if (!file) return;
+        let text;
+        try {
+            text = await file.text();
+        } catch (err) {
+            showNotice(`Can't read ${file.name}: ${err.message}`, 'error');
+            return;
+        }
+        importRobloxXml(gameId, file.name, text);
+    });
+    input.click();
+}
+
+function importRobloxXml(gameId, fileName, text) {
+    const game = world.get(gameId);
+    const reserved = new Set();
+    let result;
+    try {
+        result = RbxImport.parseRbxXml(text, {
+            newId: () => world.newId('i', reserved),
+            resolveAsset: (assetId) => resolveRobloxAsset(game.ownerId, assetId),
+        });
+    } catch (err) {
+        showNotice(`Could not import ${fileName}: ${err.message}`, 'error');
+        return null;
+    }
+
+    const data = {
+        id: world.newId('p', reserved),
+        name: fileName.replace(/\.rbx[ml]x$/i, ''),
+        instances: result.instances,
+    };
+    runCommand(addPlaceCommand(gameId, data));
+    for (const warning of result.warnings) showNotice(`${fileName}: ${warning}`, 'warning');
+    return openAssetWindow(data.id);
+}
+
+// Imported files reference assets by Roblox asset id. Inventory assets may
+// record theirs as `robloxId`; the importing owner's inventory is checked
+// first. Unmatched references keep their content URL and show up in the
+// audit as broken.
+function resolveRobloxAsset(ownerId, assetId) {
+    if (!assetId) return null;
+    const owners = [...world.owners].sort((a, b) => (b.id === ownerId) - (a.id === ownerId));
+    for (const owner of owners) {
+        const asset = owner.inventory.find(a => String(a.robloxId) === assetId);
+        if (asset) return asset.id;
+    }
+    return null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Undo / redo
+// ─────────────────────────────────────────────────────────────────────────────
+// Every edit is a command `{ label, do(), undo() }`. Commands change the World
+// only through its editing API, so windows refresh from its change events.
+
+function runCommand(cmd) {
+    cmd.do();
+    undoStack.push(cmd);
+    redoStack.length = 0;
+}
+
+// Live changes from elsewhere can leave a command nothing to act on
+function undo() {
+    const cmd = undoStack.pop();
+    if (!cmd) return;
+    try {
+        cmd.undo();
+    } catch (err) {
+        showNotice(`Can't undo ${cmd.label}: ${err.message}`, 'error');
+        return;
+    }
+    redoStack.push(cmd);
+}
+
+function redo() {
+    const cmd = redoStack.pop();
+    if (!cmd) return;
+    try {
+        cmd.do();
+    } catch (err) {
+        showNotice(`Can't redo ${cmd.label}: ${err.message}`, 'error');
+        return;
+    }
+    undoStack.push(cmd);
 }
 
-function el(tag, cls) {
-    const e = document.createElement(tag);
-    if (cls) e.className = cls;
-    return e;
+function editCommand(id, field, value) {
+    let previous;
+    return {
+        label: `Edit ${field}`,
+        do() { previous = world.setProperty(id, field, value); },
+        undo() { world.setProperty(id, field, previous); },
+    };
 }
 
-function hashToHue(str) {
-    let h = 0;
-    for (let i = 0; i < str.length; i++) h = (h * 31 + str.charCodeAt(i)) & 0xffffff;
-    return h % 360;
+function setReferencesCommand(label, edits) {
+    let previous;
+    return {
+        label,
+        do() { previous = world.setReferences(edits); },
+        undo() { world.setReferences([...previous].reverse()); },
+    };
+}
+
+function mergeAssetsCommand(keepId, dropIds) {
+    let restore;
+    return {
+        label: `Merge into ${world.get(keepId).name}`,
+        do() { restore = world.mergeAssets(keepId, dropIds); },
+        undo() { world.unmergeAssets(restore); },
+    };
+}
+
+function addInstanceCommand(placeId, data, parentId = null) {
+    return {
+        label: `Add ${data.name}`,
+        do() { world.addInstance(placeId, data, parentId); },
+        undo() { world.removeInstance(data.id); },
+    };
+}
+
+function addPlaceCommand(gameId, data) {
+    return {
+        label: `Add ${data.name}`,
+        do() { world.addPlace(gameId, data); },
+        undo() { world.removePlace(data.id); },
+    };
+}
+
+// Tool windows that summarize the whole World and so follow every change
+const LIVE_TOOL_KINDS = ['audit', 'review', 'graph', 'replace', 'duplicates', 'items'];
+
+// Refresh every open window the change touches
+function onWorldChange(change) {
+    const ids = new Set(change.ids);
+    for (const win of [...openWindows]) {
+        if (!world.get(win.node.id) && !toolNodeFor(win.assetId)) closeWindow(win.id);
+        else if (ids.has(win.node.id) || LIVE_TOOL_KINDS.includes(win.node.kind)) {
+            refreshWindow(win);
+            if (change.remote && ids.has(win.node.id)) markWindowUpdated(win);
+        }
+    }
+    renderStartPage();
+    refreshAssetOptions();
+}
+
+function isTextEntry(target) {
+    return target.closest('input, textarea, select, [contenteditable="true"]');
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Window dragging
+// Linked selection
 // ─────────────────────────────────────────────────────────────────────────────
+// A selection made in a linked window is published to the other linked
+// windows: place windows select the instance if they contain it, game
+// windows the place, and asset windows the matching usage row, each with a
+// brief flash. Windows and start tiles of the assets a selected instance
+// references are highlighted. The 🔗 title bar button unlinks a window.
+
+let linkedSelection = null;     // id last published by a linked window
+
+function publishSelection(source, id) {
+    linkedSelection = id;
+    const node = id ? world.get(id) : null;
+    for (const win of openWindows) {
+        if (win === source || !win.linked || !node) continue;
+        const target = linkedTargetFor(win, node);
+        if (!target || target === win.selection) continue;
+        setWindowSelection(win, target, true);
+        flashSelection(win);
+    }
+    applyLinkHighlights();
+}
 
-function setupWindowDrag(winEl, titleBar, win) {
-    let dragging = false, sx, sy, ix, iy;
+// What a window should select for a linked selection of `node`, or null
+function linkedTargetFor(win, node) {
+    switch (win.node.kind) {
+        case 'place':
+            return node.kind === 'instance' && node.placeId === win.node.id ? node.id : null;
+        case 'game': {
+            const placeId = node.kind === 'place' ? node.id : node.placeId;
+            return win.node.places.some(p => p.id === placeId) ? placeId : null;
+        }
+        case 'asset':
+            if (node.kind !== 'instance') return null;
+            return world.getUsages(win.node.id, { indirect: true }).some(u => u.instanceId === node.id) ? node.id : null;
+        default:
+            return null;
+    }
+}
 
-    titleBar.addEventListener('mousedown', (e) => {
-        if (e.target.closest('.win-btn')) return;
-        dragging = true;
-        sx = e.clientX; sy = e.clientY;
-        ix = winEl.offsetLeft; iy = winEl.offsetTop;
-        winEl.classList.add('dragging');
-        document.addEventListener('mousemove', onMove);
-        document.addEventListener('mouseup', onUp);
+function flashSelection(win) {
+    win.el.querySelectorAll(`[data-item-id="${win.selection}"]`).forEach(row => {
+        row.classList.remove('row-flash');
+        void row.offsetWidth;       // restart the animation
+        row.classList.add('row-flash');
     });
+}
 
-    function onMove(e) {
-        if (!dragging) return;
-        const nx = ix + e.clientX - sx;
-        const ny = iy + e.clientY - sy;
-        winEl.style.left = `${nx}px`;
-        winEl.style.top = `${ny}px`;
-        win.x = nx; win.y = ny;
+// Assets referenced by the instance last selected in a linked window
+function linkedAssetIds() {
+    const node = linkedSelection ? world.get(linkedSelection) : null;
+    return new Set(node && node.kind === 'instance' ? Model.REF_FIELDS.map(f => node[f]).filter(Boolean) : []);
+}
+
+function applyLinkHighlights() {
+    const assets = linkedAssetIds();
+    for (const win of openWindows) {
+        win.el.classList.toggle('link-highlight', win.linked && assets.has(win.node.id));
     }
+    document.querySelectorAll('.start-tile[data-id]').forEach(tile =>
+        tile.classList.toggle('link-highlight', assets.has(tile.dataset.id)));
+}
 
-    function onUp() {
-        dragging = false;
-        winEl.classList.remove('dragging');
-        document.removeEventListener('mousemove', onMove);
-        document.removeEventListener('mouseup', onUp);
+function setWindowLinked(win, linked) {
+    win.linked = linked;
+    const btn = win.el.querySelector('.win-link');
+    if (btn) {
+        btn.classList.toggle('unlinked', !linked);
+        btn.title = linked ? 'Unlink selection' : 'Link selection';
     }
+    // Catch up with whatever was selected elsewhere while unlinked
+    if (linked && linkedSelection && world.get(linkedSelection)) {
+        const target = linkedTargetFor(win, world.get(linkedSelection));
+        if (target && target !== win.selection) setWindowSelection(win, target, true);
+    }
+    applyLinkHighlights();
+    scheduleWorkspaceSave();
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Window resizing
+// Live updates
 // ─────────────────────────────────────────────────────────────────────────────
+// With `?live` (or `?live=<url>`) the explorer subscribes to a Server-Sent
+// Events change feed, such as the one dev-server.js provides. Each message
+// carries one World.applyEvent event or an array of them. Windows showing a
+// changed node refresh through onWorldChange and say "updated" until they
+// are next brought to the front.
+
+const DEFAULT_FEED_URL = '/events';
+
+let liveFeed = null;
+
+function connectLiveFeed(url) {
+    const status = document.getElementById('live-status');
+    const setStatus = (state, label, title) => {
+        status.hidden = false;
+        status.className = `taskbar-btn live-status live-${state}`;
+        status.textContent = label;
+        status.title = title;
+    };
 
-function setupWindowResize(winEl, win) {
-    const handle = el('div', 'resize-handle');
-    winEl.appendChild(handle);
+    setStatus('connecting', '◌ Live', `Connecting to ${url}`);
+    liveFeed = new EventSource(url);
+    liveFeed.addEventListener('open', () => setStatus('on', '● Live', `Receiving changes from ${url}`));
+    // EventSource reconnects on its own
+    liveFeed.addEventListener('error', () => setStatus('off', '○ Offline', `Change feed ${url} unavailable; retrying`));
+    liveFeed.addEventListener('message', (e) => applyFeedMessage(e.data));
+}
 
-    let resizing = false, sx, sy, iw, ih;
+function applyFeedMessage(text) {
+    let events;
+    try {
+        events = [].concat(JSON.parse(text));
+    } catch (err) {
+        showNotice(`Ignored a malformed live change message: ${err.message}`, 'warning');
+        return;
+    }
+    let failed = 0;
+    let firstError = null;
+    for (const event of events) {
+        try {
+            const source = feedEventSource(event);
+            world.applyEvent(source && event.type === 'add' && event.kind === 'owner'
+                ? { ...event, data: { ...event.data, sourceId: source.id } } : event);
+            // The source's data gets the change too, so rebuilds keep it and
+            // change review doesn't take it for a local edit
+            if (source) Model.patchData(source.data, event);
+        } catch (err) {
+            failed++;
+            firstError = firstError || err;
+        }
+    }
+    if (failed) {
+        showNotice(`${failed} live change${failed !== 1 ? 's' : ''} didn't fit the loaded data (${firstError.message}); reload to catch up`, 'warning');
+    }
+}
 
-    handle.addEventListener('mousedown', (e) => {
-        e.stopPropagation();
-        resizing = true;
-        sx = e.clientX; sy = e.clientY;
-        iw = winEl.offsetWidth; ih = winEl.offsetHeight;
-        document.addEventListener('mousemove', onMove);
-        document.addEventListener('mouseup', onUp);
+// The data source a feed event belongs to: the one that loaded the owner it
+// touches. New owners join the first source with data.
+function feedEventSource(event) {
+    if (event.type === 'add' && event.kind === 'owner') return dataSources.find(s => s.data) || null;
+    const node = world.get(event.type === 'add' ? event.parentId : event.id);
+    const owner = node && (node.kind === 'owner' ? node : world.get(node.ownerId));
+    return owner ? dataSources.find(s => s.id === owner.sourceId && s.data) || null : null;
+}
+
+function markWindowUpdated(win) {
+    const badge = win.el.querySelector('.titlebar-updated');
+    badge.hidden = false;
+    badge.title = `Changed elsewhere at ${new Date().toLocaleTimeString()}`;
+    win.el.classList.remove('window-updated');
+    void win.el.offsetWidth;        // restart the animation
+    win.el.classList.add('window-updated');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Data sources
+// ─────────────────────────────────────────────────────────────────────────────
+// The World is merged from an ordered list of sources: URLs (from `?data=`,
+// or added on the start page and remembered), owners.json files dropped on
+// the page or picked, and generated fixtures (`?fixture=`). Reloading or
+// removing a source rebuilds the World in place; unsaved edits to the other
+// sources carry over.
+
+const SOURCES_KEY = 'inventory-explorer.sources';
+const DEFAULT_SOURCE_URL = '../data/owners.json';
+const SOURCE_ICONS = { url: '🌐', file: '📄', fixture: '🧪' };
+
+let dataSources = [];           // [{ id, kind, name, url?, file?, size?, data, error }]
+let sourceCounter = 0;
+
+function makeSource(kind, name, extra = {}) {
+    return { id: `src${++sourceCounter}`, kind, name, data: null, error: null, ...extra };
+}
+
+// `?fixture=N` and `?data=a.json,b.json` win over the remembered URL list
+function initialSources() {
+    const params = new URLSearchParams(location.search);
+    const fixture = Number(params.get('fixture'));
+    if (fixture > 0) return [makeSource('fixture', `Fixture (${fixture} instances)`, { size: fixture })];
+    const urls = params.get('data') ? params.get('data').split(',').filter(Boolean)
+        : readStorage(SOURCES_KEY) || [DEFAULT_SOURCE_URL];
+    return urls.map(url => makeSource('url', url, { url }));
+}
+
+async function loadSource(source) {
+    source.data = null;
+    source.error = null;
+    try {
+        if (source.kind === 'fixture') {
+            source.data = Model.generateFixture({ instances: source.size });
+        } else if (source.kind === 'file') {
+            source.data = JSON.parse(await source.file.text());
+        } else {
+            Object.assign(source, await Model.fetchSource(source.url));
+        }
+    } catch (err) {
+        source.error = err.message;
+    }
+}
+
+function saveSourceUrls() {
+    writeStorage(SOURCES_KEY, dataSources.filter(s => s.kind === 'url').map(s => s.url));
+}
+
+/**
+ * Build the World from `dataSources`. Sources listed in `fresh` (reloaded
+ * ones) start from their loaded data; the others keep their unsaved edits.
+ * The loaded data stays the baseline that change review compares against.
+ */
+function buildWorld(fresh = new Set()) {
+    const edited = world ? editedSourceData(fresh) : new Map();
+    const merged = Model.mergeSources(dataSources.map(s => edited.has(s.id) ? { ...s, data: edited.get(s.id) } : s));
+    const next = new Model.World(merged.data, { diagnostics: merged.diagnostics });
+    if (edited.size) next.source = JSON.parse(JSON.stringify(Model.mergeSources(dataSources).data));
+    world = next;
+    world.subscribe(onWorldChange);
+}
+
+// owners.json data of each source with unsaved edits, as edited
+function editedSourceData(fresh) {
+    const current = world.toJSON().owners;
+    const bySource = new Map();
+    world.owners.forEach((owner, i) => {
+        if (!bySource.has(owner.sourceId)) bySource.set(owner.sourceId, { now: [], then: [] });
+        bySource.get(owner.sourceId).now.push(current[i]);
     });
+    for (const owner of world.source.owners) {
+        if (bySource.has(owner.sourceId)) bySource.get(owner.sourceId).then.push(owner);
+    }
 
-    function onMove(e) {
-        if (!resizing) return;
-        const nw = Math.max(300, iw + e.clientX - sx);
-        const nh = Math.max(200, ih + e.clientY - sy);
-        winEl.style.width = `${nw}px`;
-        winEl.style.height = `${nh}px`;
-        win.width = nw; win.height = nh;
+    const edited = new Map();
+    for (const [sourceId, { now, then }] of bySource) {
+        if (fresh.has(sourceId) || !dataSources.some(s => s.id === sourceId)) continue;
+        const diff = Model.diffData({ owners: then }, { owners: now });
+        if (diff.added.length || diff.removed.length || diff.changed.length) edited.set(sourceId, { owners: now });
     }
+    return edited;
+}
 
-    function onUp() {
-        resizing = false;
-        document.removeEventListener('mousemove', onMove);
-        document.removeEventListener('mouseup', onUp);
+// Swap in a World rebuilt from the sources, reopening the windows whose
+// nodes still exist. Undo history refers to the old World and is dropped.
+function rebuildWorld(fresh = new Set()) {
+    const workspace = captureWorkspace();
+    buildWorld(fresh);
+    undoStack.length = 0;
+    redoStack.length = 0;
+    if (linkedSelection && !world.get(linkedSelection)) linkedSelection = null;
+    renderStartPage();
+    refreshAssetOptions();
+    renderSources();
+    restoreWorkspace(workspace);
+}
+
+async function addUrlSource(url) {
+    const source = makeSource('url', url, { url });
+    await loadSource(source);
+    dataSources.push(source);
+    saveSourceUrls();
+    rebuildWorld();
+    if (source.error) showNotice(`Could not load ${url}: ${source.error}`, 'error');
+}
+
+async function addFileSources(files) {
+    const added = [];
+    for (const file of files) {
+        const source = makeSource('file', file.name, { file });
+        await loadSource(source);
+        added.push(source);
+    }
+    dataSources.push(...added);
+    rebuildWorld();
+    for (const source of added) {
+        if (source.error) showNotice(`Could not read ${source.name}: ${source.error}`, 'error');
+    }
+}
+
+async function reloadSource(id) {
+    const source = dataSources.find(s => s.id === id);
+    if (!source) return;
+    await loadSource(source);
+    rebuildWorld(new Set([id]));
+    showNotice(source.error ? `Could not reload ${source.name}: ${source.error}` : `Reloaded ${source.name}`,
+        source.error ? 'error' : 'info');
+}
+
+function removeSource(id) {
+    dataSources = dataSources.filter(s => s.id !== id);
+    saveSourceUrls();
+    rebuildWorld();
+}
+
+function pickSourceFiles() {
+    const input = el('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.multiple = true;
+    input.addEventListener('change', () => {
+        if (input.files.length) addFileSources([...input.files]);
+    });
+    input.click();
+}
+
+// owners.json files dropped anywhere outside a window become sources
+function acceptSourceDrops() {
+    const hasFiles = (e) => e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+    document.addEventListener('dragover', (e) => {
+        if (!hasFiles(e) || e.target.closest('.window')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+    document.addEventListener('drop', (e) => {
+        if (!hasFiles(e) || e.target.closest('.window')) return;
+        e.preventDefault();
+        const files = [...e.dataTransfer.files].filter(f => /\.json$/i.test(f.name));
+        if (files.length) addFileSources(files);
+        else showNotice('Drop owners.json files to add them as data sources', 'warning');
+    });
+}
+
+function renderSources() {
+    const container = document.getElementById('sources-container');
+    container.innerHTML = '';
+    const card = el('div', 'owner-card sources-card');
+    card.innerHTML = `
+        <div class="owner-section">
+            <h3>Data sources <span class="badge">${dataSources.length}</span></h3>
+            <div class="source-list"></div>
+            <form class="source-add">
+                <input class="source-url" type="text" placeholder="owners.json URL, or drop files on the page" required>
+                <button class="owner-action" type="submit">Add URL</button>
+                <button class="owner-action source-pick" type="button">📂 Open files…</button>
+            </form>
+        </div>`;
+
+    const list = card.querySelector('.source-list');
+    if (dataSources.length === 0) list.innerHTML = '<div class="empty-hint">No data sources; add a URL or drop a file</div>';
+
+    for (const source of dataSources) {
+        const owners = world.owners.filter(o => o.sourceId === source.id).length;
+        const conflicts = world.diagnostics.filter(p => p.sourceId === source.id && p.conflict).length;
+        const detail = source.error ? `⛔ ${escapeHtml(source.error)}`
+            : `${owners} owner${owners !== 1 ? 's' : ''}${conflicts ? ` · ⚠️ ${conflicts} conflicting id${conflicts !== 1 ? 's' : ''}` : ''}`;
+        const row = el('div', `list-row source-row${source.error ? ' source-error' : ''}`);
+        row.innerHTML = `<span class="row-icon">${SOURCE_ICONS[source.kind]}</span>
+            <span class="row-name" title="${escapeHtml(source.url || source.name)}">${escapeHtml(source.name)}</span>
+            <span class="row-detail">${detail}</span>
+            <span class="row-open" data-action="reload" title="Reload">⟳</span>
+            <span class="row-open" data-action="remove" title="Remove source">&times;</span>`;
+        row.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]');
+            if (!action) return;
+            if (action.dataset.action === 'reload') reloadSource(source.id);
+            else removeSource(source.id);
+        });
+        list.appendChild(row);
+    }
+
+    card.querySelector('.source-add').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const url = card.querySelector('.source-url').value.trim();
+        if (url) addUrlSource(url);
+    });
+    card.querySelector('.source-pick').addEventListener('click', pickSourceFiles);
+    container.appendChild(card);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Workspace persistence
+// ─────────────────────────────────────────────────────────────────────────────
+// The open windows (geometry, z-order, selection, collapsed tree nodes) are
+// autosaved to localStorage and restored on startup. Named workspaces are
+// snapshots of the same shape that the start page can switch between.
+
+const WORKSPACE_KEY = 'inventory-explorer.workspace';
+const NAMED_WORKSPACES_KEY = 'inventory-explorer.workspaces';
+
+let workspaceSaveTimer = null;
+let restoringWorkspace = false;
+
+function captureWorkspace() {
+    return {
+        windows: [...openWindows].sort((a, b) => a.z - b.z).map(win => ({
+            assetId: win.assetId,
+            x: win.x,
+            y: win.y,
+            width: win.width,
+            height: win.height,
+            selection: win.selection,
+            collapsed: [...win.collapsed],
+            minimized: win.minimized,
+            maximized: win.maximized,
+            snapped: win.snapped,
+            restoreRect: win.restoreRect,
+            camera: win.camera,
+            linked: win.linked,
+        })),
+    };
+}
+
+function restoreWorkspace(state) {
+    restoringWorkspace = true;
+    try {
+        for (const win of [...openWindows]) closeWindow(win.id);
+        // Saved in z-order, so opening in sequence restores the stacking
+        for (const saved of (state && state.windows) || []) {
+            const win = openAssetWindow(saved.assetId);
+            if (!win) continue;
+            Object.assign(win, {
+                x: saved.x, y: saved.y, width: saved.width, height: saved.height,
+            });
+            win.collapsed = new Set(saved.collapsed || []);
+            if (saved.camera) Object.assign(win.camera || (win.camera = {}), saved.camera);
+            win.maximized = !!saved.maximized;
+            win.snapped = saved.snapped || null;
+            win.restoreRect = saved.restoreRect || null;
+            if (saved.linked === false) setWindowLinked(win, false);
+            win.el.classList.toggle('maximized', win.maximized);
+            if (win.maximized) Object.assign(win, snapZoneRect('max'));
+            else if (win.snapped) Object.assign(win, snapZoneRect(win.snapped));
+            else clampWindow(win);
+            applyWindowGeometry(win);
+            if (saved.minimized) minimizeWindow(win);
+            if (win.collapsed.size) refreshWindow(win);
+            if (saved.selection && world.get(saved.selection)) {
+                setWindowSelection(win, saved.selection);
+            }
+        }
+    } finally {
+        restoringWorkspace = false;
+    }
+    saveWorkspace();
+}
+
+function scheduleWorkspaceSave() {
+    if (restoringWorkspace) return;
+    clearTimeout(workspaceSaveTimer);
+    workspaceSaveTimer = setTimeout(saveWorkspace, 250);
+}
+
+function saveWorkspace() {
+    writeStorage(WORKSPACE_KEY, captureWorkspace());
+}
+
+function loadSavedWorkspace() {
+    return readStorage(WORKSPACE_KEY);
+}
+
+function namedWorkspaces() {
+    return readStorage(NAMED_WORKSPACES_KEY) || {};
+}
+
+function saveNamedWorkspace(name) {
+    const all = namedWorkspaces();
+    all[name] = { ...captureWorkspace(), savedAt: new Date().toISOString() };
+    writeStorage(NAMED_WORKSPACES_KEY, all);
+    renderWorkspaces();
+}
+
+function switchWorkspace(name) {
+    const state = namedWorkspaces()[name];
+    if (!state) return;
+    restoreWorkspace(state);
+    document.getElementById('start-page').classList.add('hidden');
+}
+
+function deleteWorkspace(name) {
+    const all = namedWorkspaces();
+    delete all[name];
+    writeStorage(NAMED_WORKSPACES_KEY, all);
+    renderWorkspaces();
+}
+
+// localStorage can be unavailable (private mode, quota); the app still works
+function readStorage(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (err) {
+        return null;
+    }
+}
+
+// Keys whose last save failed, so repeated saves don't repeat the notice
+const failedStorageKeys = new Set();
+
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        failedStorageKeys.delete(key);
+    } catch (err) {
+        if (!failedStorageKeys.has(key)) showNotice(`Could not save ${key}: ${err.message}`, 'warning');
+        failedStorageKeys.add(key);
+    }
+}
+
+function renderWorkspaces() {
+    const container = document.getElementById('workspaces-container');
+    container.innerHTML = '';
+    const card = el('div', 'owner-card workspaces-card');
+    card.innerHTML = `
+        <div class="owner-section">
+            <h3>Workspaces</h3>
+            <div class="workspace-list"></div>
+            <form class="workspace-save">
+                <input class="workspace-name" type="text" placeholder="Name this workspace, e.g. Audit obby" required>
+                <button class="owner-action" type="submit">Save current</button>
+            </form>
+        </div>`;
+
+    const list = card.querySelector('.workspace-list');
+    const all = namedWorkspaces();
+    const names = Object.keys(all).sort();
+    if (names.length === 0) list.innerHTML = '<div class="empty-hint">No saved workspaces yet</div>';
+
+    for (const name of names) {
+        const count = (all[name] && all[name].windows || []).length;
+        const row = el('div', 'list-row');
+        row.innerHTML = `<span class="row-icon">🗂️</span>
+            <span class="row-name">${escapeHtml(name)}</span>
+            <span class="row-detail">${count} window${count !== 1 ? 's' : ''}</span>
+            <span class="row-open" title="Delete workspace">&times;</span>`;
+        row.addEventListener('click', () => switchWorkspace(name));
+        row.querySelector('.row-open').addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteWorkspace(name);
+        });
+        list.appendChild(row);
+    }
+
+    card.querySelector('.workspace-save').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const name = card.querySelector('.workspace-name').value.trim();
+        if (name) saveNamedWorkspace(name);
+    });
+    container.appendChild(card);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Deep links & browser history
+// ─────────────────────────────────────────────────────────────────────────────
+// The URL hash mirrors the windows: `#/open/<front>?select=<id>&open=<a>,<b>`
+// names the front window, its selection and the other open windows (back to
+// front). Opening, closing and selecting push history entries; focusing a
+// window only replaces the current one. Back/Forward reconcile the windows
+// with the entry's route.
+
+let routePending = null;      // null | 'replace' | 'push'
+let applyingRoute = false;
+
+function noteNavigation(push) {
+    if (applyingRoute || restoringWorkspace) return;
+    if (routePending !== 'push') routePending = push ? 'push' : 'replace';
+    // Coalesce within a tick so e.g. revealInstance (open + select) is one entry
+    queueMicrotask(flushRoute);
+}
+
+function flushRoute() {
+    const mode = routePending;
+    routePending = null;
+    if (!mode) return;
+    const hash = routeHash(currentRoute());
+    if (hash === location.hash) return;
+    if (mode === 'push') history.pushState(null, '', hash);
+    else history.replaceState(null, '', hash);
+}
+
+function currentRoute() {
+    return {
+        windows: [...openWindows].sort((a, b) => a.z - b.z)
+            .map(win => ({ assetId: win.assetId, selection: win.selection })),
+    };
+}
+
+function routeHash(route) {
+    const wins = route.windows;
+    if (wins.length === 0) return '#/';
+    const front = wins[wins.length - 1];
+    const params = [];
+    if (front.selection) params.push(`select=${encodeRouteId(front.selection)}`);
+    if (wins.length > 1) params.push(`open=${wins.slice(0, -1).map(w => encodeRouteId(w.assetId)).join(',')}`);
+    return `#/open/${encodeRouteId(front.assetId)}${params.length ? `?${params.join('&')}` : ''}`;
+}
+
+// Keep tool ids like `audit:*` readable in links
+function encodeRouteId(id) {
+    return encodeURIComponent(id).replace(/%3A/gi, ':').replace(/%2A/gi, '*');
+}
+
+/** Parse a route hash; returns null when the hash is not a route at all. */
+function parseRoute(hash) {
+    if (hash === '' || hash === '#' || hash === '#/') return { windows: [] };
+    const m = hash.match(/^#\/open\/([^?]+)(?:\?(.*))?$/);
+    if (!m) return null;
+    let front;
+    try {
+        front = decodeURIComponent(m[1]);
+    } catch (err) {
+        showNotice(`Ignoring malformed link: ${hash}`, 'warning');
+        return null;
+    }
+    const params = new URLSearchParams(m[2] || '');
+    const others = params.getAll('open').flatMap(v => v.split(',')).filter(Boolean);
+    return {
+        windows: [
+            // Only the front window's selection is part of the link
+            ...others.map(id => ({ assetId: id, selection: undefined })),
+            { assetId: front, selection: params.get('select') },
+        ],
+    };
+}
+
+function applyRoute(route) {
+    applyingRoute = true;
+    const unknown = [];
+    try {
+        const wanted = new Set(route.windows.map(w => w.assetId));
+        for (const win of [...openWindows]) {
+            if (!wanted.has(win.assetId)) closeWindow(win.id);
+        }
+        for (const { assetId, selection } of route.windows) {
+            let win = openWindows.find(w => w.assetId === assetId);
+            if (win) bringToFront(win);
+            else win = openAssetWindow(assetId);
+            if (!win) {
+                unknown.push(assetId);
+                continue;
+            }
+            if (selection && !world.get(selection)) unknown.push(selection);
+            else if (selection !== undefined && selection !== win.selection) setWindowSelection(win, selection);
+        }
+    } finally {
+        applyingRoute = false;
+    }
+    scheduleWorkspaceSave();
+    if (unknown.length) {
+        showNotice(`Link refers to unknown id${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`, 'warning');
+    }
+}
+
+function onPopState() {
+    const route = parseRoute(location.hash);
+    if (route) applyRoute(route);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Notices
+// ─────────────────────────────────────────────────────────────────────────────
+
+function showNotice(message, severity = 'info') {
+    let container = document.getElementById('notices');
+    if (!container) {
+        container = el('div');
+        container.id = 'notices';
+        document.body.appendChild(container);
     }
+    const notice = el('div', `notice notice-${severity}`);
+    notice.textContent = message;
+    notice.title = 'Dismiss';
+    notice.addEventListener('click', () => notice.remove());
+    container.appendChild(notice);
+    setTimeout(() => notice.remove(), 8000);
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -746,18 +3772,184 @@ function toggleStartPage() {
     sp.classList.toggle('hidden');
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Command palette (Ctrl+K)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const palette = {
+    el: null,
+    input: null,
+    list: null,
+    results: [],
+    active: 0,
+};
+
+function buildPalette() {
+    const overlay = el('div', 'palette-overlay hidden');
+    overlay.innerHTML = `
+        <div class="palette">
+            <input class="palette-input" type="text" spellcheck="false"
+                placeholder="Search everything…  (type:mesh  class:MeshPart  owner:cool-group)">
+            <div class="palette-results"></div>
+        </div>`;
+    document.body.appendChild(overlay);
+
+    palette.el = overlay;
+    palette.input = overlay.querySelector('.palette-input');
+    palette.list = overlay.querySelector('.palette-results');
+
+    overlay.addEventListener('mousedown', (e) => {
+        if (e.target === overlay) closePalette();
+    });
+    palette.input.addEventListener('input', updatePaletteResults);
+    palette.input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown') { e.preventDefault(); movePaletteCursor(1); }
+        else if (e.key === 'ArrowUp') { e.preventDefault(); movePaletteCursor(-1); }
+        else if (e.key === 'Enter') { e.preventDefault(); choosePaletteResult(palette.active); }
+        else if (e.key === 'Escape') { e.preventDefault(); closePalette(); }
+    });
+}
+
+function openPalette() {
+    palette.el.classList.remove('hidden');
+    palette.input.select();
+    palette.input.focus();
+    updatePaletteResults();
+}
+
+function closePalette() {
+    palette.el.classList.add('hidden');
+}
+
+function togglePalette() {
+    if (palette.el.classList.contains('hidden')) openPalette();
+    else closePalette();
+}
+
+function updatePaletteResults() {
+    const query = palette.input.value;
+    const { text } = Model.parseSearchQuery(query);
+    palette.results = query.trim() ? world.search(query, 60) : [];
+    palette.active = 0;
+    palette.list.innerHTML = '';
+
+    if (query.trim() && palette.results.length === 0) {
+        palette.list.innerHTML = '<div class="empty-hint">No matches</div>';
+        return;
+    }
+
+    let lastKind = null;
+    palette.results.forEach(({ node }, i) => {
+        if (node.kind !== lastKind) {
+            lastKind = node.kind;
+            const hdr = el('div', 'palette-group');
+            hdr.textContent = `${node.kind}s`;
+            palette.list.appendChild(hdr);
+        }
+        const crumbs = world.getBreadcrumb(node).map(n => n.name || n.id).join(' › ');
+        const row = el('div', 'palette-row');
+        row.dataset.index = i;
+        row.innerHTML = `<span class="row-icon">${titleIcon(node)}</span>
+            <span class="palette-name">${highlightMatch(node.name || node.id, text)}</span>
+            <span class="palette-kind">${node.class || node.type || node.kind}</span>
+            <span class="palette-crumbs">${crumbs}</span>`;
+        row.addEventListener('mousemove', () => setPaletteActive(i));
+        row.addEventListener('click', () => choosePaletteResult(i));
+        palette.list.appendChild(row);
+    });
+    setPaletteActive(0);
+}
+
+function highlightMatch(label, text) {
+    const hits = new Set(Model.fuzzyMatchIndices(text, label));
+    return Array.from(label, (ch, i) => hits.has(i) ? `<mark>${ch}</mark>` : ch).join('');
+}
+
+function setPaletteActive(i) {
+    palette.active = i;
+    palette.list.querySelectorAll('.palette-row').forEach(r =>
+        r.classList.toggle('active', Number(r.dataset.index) === i));
+}
+
+function movePaletteCursor(delta) {
+    if (palette.results.length === 0) return;
+    const next = (palette.active + delta + palette.results.length) % palette.results.length;
+    setPaletteActive(next);
+    const row = palette.list.querySelector(`.palette-row[data-index="${next}"]`);
+    if (row) row.scrollIntoView({ block: 'nearest' });
+}
+
+function choosePaletteResult(i) {
+    const hit = palette.results[i];
+    if (!hit) return;
+    closePalette();
+    if (hit.node.kind === 'instance') revealInstance(hit.node.id);
+    else openAssetWindow(hit.node.id);
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Init
 // ─────────────────────────────────────────────────────────────────────────────
 
 async function init() {
-    world = await Model.loadWorld();
+    dataSources = initialSources();
+    startView = readStorage(START_VIEW_KEY) === 'dashboard' ? 'dashboard' : 'owners';
+    await Promise.all(dataSources.map(loadSource));
+    buildWorld();
     renderStartPage();
-
+    refreshAssetOptions();
+    renderSources();
+    acceptSourceDrops();
+    const feed = new URLSearchParams(location.search).get('live');
+    if (feed !== null) connectLiveFeed(feed || DEFAULT_FEED_URL);
+
+    document.getElementById('owners-container').addEventListener('click', onStartTileClick);
+    document.querySelectorAll('.start-view').forEach(btn => btn.addEventListener('click', () => {
+        startView = btn.dataset.view;
+        writeStorage(START_VIEW_KEY, startView);
+        renderStartPage();
+    }));
     document.getElementById('home-btn').addEventListener('click', toggleStartPage);
+    document.getElementById('tile-btn').addEventListener('click', tileAllWindows);
+    document.getElementById('cascade-btn').addEventListener('click', cascadeAllWindows);
+    window.addEventListener('resize', onViewportResize);
+    document.getElementById('audit-all-btn').addEventListener('click', () => openAssetWindow('audit:*'));
+    document.getElementById('diagnostics-btn').addEventListener('click', () => openAssetWindow('diagnostics:'));
+    document.getElementById('save-btn').addEventListener('click', () => openAssetWindow('review:'));
+    document.getElementById('graph-btn').addEventListener('click', () => openAssetWindow('graph:'));
+    document.getElementById('duplicates-btn').addEventListener('click', () => openAssetWindow('duplicates:'));
+
+    buildPalette();
+    document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            togglePalette();
+        }
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+            e.preventDefault();
+            openAssetWindow('review:');
+        }
+        // Inputs keep their native undo; everywhere else it's the World's
+        if ((e.ctrlKey || e.metaKey) && !isTextEntry(e.target)) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+            else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redo(); }
+        }
+    });
 
-    // Open a demo window to show the concept
-    openAssetWindow('obby');
+    // A deep link wins; otherwise restore the last session, or open a demo
+    // window on first run
+    renderWorkspaces();
+    const route = parseRoute(location.hash);
+    const saved = loadSavedWorkspace();
+    if (route && route.windows.length) applyRoute(route);
+    else if (saved) restoreWorkspace(saved);
+    else openAssetWindow('obby');
+    history.replaceState(null, '', routeHash(currentRoute()));
+    window.addEventListener('popstate', onPopState);
+
+    // Surface broken data instead of leaving a half-empty page
+    if (world.diagnostics.some(p => p.severity === 'error')) openAssetWindow('diagnostics:');
 }
 
 document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,231 @@
+/**
+ * Inventory Explorer - Local dev server
+ *
+ * A stand-in for the real backend during development: serves the repository
+ * (so /prototype/ and /data/owners.json load as usual) and streams a change
+ * feed as Server-Sent Events on /events. Open the explorer with `?live` to
+ * subscribe:
+ *
+ *   node prototype/dev-server.js [port]
+ *   open http://localhost:8080/prototype/?live
+ *
+ * Events reach the feed two ways:
+ *   - saving data/owners.json: the file is diffed against its previous
+ *     version and every added, changed or removed node becomes an event
+ *   - POST /events with one event or an array of them, e.g.
+ *     curl -X POST localhost:8080/events -d '{"type":"update","kind":"instance","id":"i3","fields":{"name":"Oak"}}'
+ *
+ * No dependencies beyond Node itself.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_FILE = path.join(ROOT, 'data', 'owners.json');
+const PORT = Number(process.argv[2]) || 8080;
+const KEEPALIVE_MS = 15000;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav',
+};
+
+// The browser model, for diffing owners.json the same way change review does
+const sandbox = { window: {}, console };
+vm.runInNewContext(fs.readFileSync(path.join(__dirname, 'model.js'), 'utf8'), sandbox);
+const Model = sandbox.window.Model;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Change feed
+// ─────────────────────────────────────────────────────────────────────────────
+
+const clients = new Set();
+let nextEventId = 1;
+
+function broadcast(events) {
+    if (events.length === 0) return;
+    const frame = `id: ${nextEventId++}\ndata: ${JSON.stringify(events)}\n\n`;
+    for (const res of clients) res.write(frame);
+    console.log(`→ ${events.length} event${events.length !== 1 ? 's' : ''} to ${clients.size} client${clients.size !== 1 ? 's' : ''}`);
+}
+
+function openStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+    res.write('retry: 2000\n\n');
+    clients.add(res);
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+    req.on('close', () => {
+        clearInterval(keepalive);
+        clients.delete(res);
+    });
+}
+
+// Parent of a flattened diff record, as an add event expects it
+function parentOf(kind, record) {
+    switch (kind) {
+        case 'game':
+        case 'asset': return record.ownerId;
+        case 'place': return record.gameId;
+        case 'instance': return record.parentId || record.placeId;
+        default: return null;
+    }
+}
+
+// The fields of a flattened record that an event carries
+function eventData(kind, record) {
+    const { ownerId, gameId, placeId, parentId, ...data } = record;
+    return data;
+}
+
+// Index of every node among its siblings in owners.json data
+function siblingIndexes(data) {
+    const indexes = new Map();
+    const walk = (list, next) => (Array.isArray(list) ? list : []).forEach((d, i) => {
+        if (!d || typeof d !== 'object') return;
+        indexes.set(d.id, i);
+        next(d);
+    });
+    const instance = (d) => walk(d.children, instance);
+    walk(data && data.owners, (o) => {
+        walk(o.games, g => walk(g.places, p => walk(p.instances, instance)));
+        walk(o.inventory, () => {});
+    });
+    return indexes;
+}
+
+/**
+ * Events turning `before` into `after` (both owners.json data). Nodes
+ * whose parent changed can't be expressed as updates; they are reported
+ * and skipped, and clients pick them up on their next reload.
+ */
+function eventsBetween(before, after) {
+    const { added, removed, changed } = Model.diffData(before, after);
+    const events = [];
+
+    // A removed parent takes its subtree with it
+    const gone = new Set(removed.map(r => r.id));
+    for (const { id, kind, record } of removed) {
+        if (!gone.has(parentOf(kind, record))) events.push({ type: 'remove', kind, id });
+    }
+    // Additions come in document order, so parents and earlier siblings
+    // are in place before each one lands at its index
+    const indexes = siblingIndexes(after);
+    for (const { id, kind, record } of added) {
+        events.push({ type: 'add', kind, parentId: parentOf(kind, record), index: indexes.get(id), data: eventData(kind, record) });
+    }
+    for (const { id, kind, fields } of changed) {
+        const moved = fields.filter(f => ['ownerId', 'gameId', 'placeId', 'parentId'].includes(f.field));
+        if (moved.length) {
+            console.warn(`! ${kind} "${id}" moved; moves are not streamed`);
+            continue;
+        }
+        events.push({ type: 'update', kind, id, fields: Object.fromEntries(fields.map(f => [f.field, f.after])) });
+    }
+    return events;
+}
+
+let snapshot = readData();
+
+function readData() {
+    try {
+        return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (err) {
+        console.warn(`! Could not read ${DATA_FILE}: ${err.message}`);
+        return null;
+    }
+}
+
+// Polling survives editors that save by replacing the file
+fs.watchFile(DATA_FILE, { interval: 500 }, () => {
+    const next = readData();
+    if (!next || !snapshot) {
+        snapshot = next || snapshot;
+        return;
+    }
+    const events = eventsBetween(snapshot, next);
+    snapshot = next;
+    broadcast(events);
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HTTP
+// ─────────────────────────────────────────────────────────────────────────────
+
+function postEvents(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        let events;
+        try {
+            events = [].concat(JSON.parse(body));
+        } catch (err) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' });
+            res.end(`Invalid JSON: ${err.message}\n`);
+            return;
+        }
+        broadcast(events);
+        res.writeHead(202, { 'Content-Type': 'text/plain' });
+        res.end(`Sent ${events.length} event(s) to ${clients.size} client(s)\n`);
+    });
+}
+
+function serveFile(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (err) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad request path\n');
+        return;
+    }
+    let file = path.join(ROOT, urlPath);
+    if (file !== ROOT && !file.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found\n');
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'no-store',
+        });
+        res.end(data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === '/events' && req.method === 'GET') openStream(req, res);
+    else if (pathname === '/events' && req.method === 'POST') postEvents(req, res);
+    else if (req.method === 'GET') serveFile(req, res);
+    else {
+        res.writeHead(405);
+        res.end();
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Serving ${ROOT}`);
+    console.log(`Explorer with live feed: http://localhost:${PORT}/prototype/?live`);
+});
@@ -0,0 +1,288 @@
+/**
+ * Inventory Explorer - Reference Graph
+ *
+ * Draws the World's reference graph (owners → games → places → instances →
+ * assets) as a layered node-link diagram on a <canvas>. Each layer is a
+ * column; nodes within a column are ordered by the positions of their
+ * neighbors so edges cross as little as possible. Drag pans, the wheel
+ * zooms around the cursor, hovering a node highlights its neighborhood and
+ * double-clicking opens it.
+ */
+
+const GRAPH_LAYERS = ['owner', 'game', 'place', 'instance', 'asset'];
+const GRAPH_NODE_W = 150;
+const GRAPH_NODE_H = 22;
+const GRAPH_COL_GAP = 80;
+const GRAPH_ROW_GAP = 8;
+const GRAPH_SWEEPS = 4;
+
+const GRAPH_LAYER_COLORS = {
+    owner: '#7a5fd0',
+    game: '#4a7ad8',
+    place: '#3f9c8e',
+    instance: '#8c8440',
+    asset: '#b86e44',
+};
+
+// ─── Layout ─────────────────────────────────────────────────────────────────
+
+// Assign `x`/`y` to every node: one column per layer, rows ordered by the
+// barycenter of each node's neighbors in the adjacent column, sweeping
+// right and then left a few times.
+function layoutGraph(graph) {
+    const columns = GRAPH_LAYERS.map(() => []);
+    const layerOf = new Map();
+    const neighbors = new Map();
+    for (const node of graph.nodes) {
+        const layer = GRAPH_LAYERS.indexOf(node.kind);
+        columns[layer].push(node);
+        layerOf.set(node.id, layer);
+        neighbors.set(node.id, []);
+    }
+    for (const [a, b] of graph.edges) {
+        neighbors.get(a).push(b);
+        neighbors.get(b).push(a);
+    }
+
+    const rowOf = new Map();
+    const number = (column) => column.forEach((node, i) => rowOf.set(node.id, i));
+    columns.forEach(number);
+
+    for (let sweep = 0; sweep < GRAPH_SWEEPS; sweep++) {
+        const forward = sweep % 2 === 0;
+        const order = forward ? [1, 2, 3, 4] : [3, 2, 1, 0];
+        for (const c of order) {
+            const ref = forward ? c - 1 : c + 1;
+            const key = new Map(columns[c].map(node => {
+                const rows = neighbors.get(node.id).filter(id => layerOf.get(id) === ref).map(id => rowOf.get(id));
+                const mean = rows.length ? rows.reduce((s, r) => s + r, 0) / rows.length : rowOf.get(node.id);
+                return [node.id, mean];
+            }));
+            columns[c].sort((a, b) => key.get(a.id) - key.get(b.id));
+            number(columns[c]);
+        }
+    }
+
+    const tallest = Math.max(1, ...columns.map(c => c.length));
+    columns.forEach((column, c) => {
+        const offset = (tallest - column.length) * (GRAPH_NODE_H + GRAPH_ROW_GAP) / 2;
+        column.forEach((node, i) => {
+            node.x = c * (GRAPH_NODE_W + GRAPH_COL_GAP);
+            node.y = offset + i * (GRAPH_NODE_H + GRAPH_ROW_GAP);
+        });
+    });
+    return neighbors;
+}
+
+function graphBounds(nodes) {
+    if (nodes.length === 0) return { minX: 0, minY: 0, maxX: 1, maxY: 1 };
+    return {
+        minX: Math.min(...nodes.map(n => n.x)),
+        minY: Math.min(...nodes.map(n => n.y)),
+        maxX: Math.max(...nodes.map(n => n.x + GRAPH_NODE_W)),
+        maxY: Math.max(...nodes.map(n => n.y + GRAPH_NODE_H)),
+    };
+}
+
+// ─── View ───────────────────────────────────────────────────────────────────
+
+/**
+ * Mount a graph canvas in `container`. `view` ({ x, y, zoom }) is updated in
+ * place so the caller can keep it across re-renders; `onOpen(id)` fires on
+ * double-click.
+ */
+function createGraphView(container, { view = {}, onOpen = () => {} } = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'graph-canvas';
+    container.appendChild(canvas);
+    const ctx = canvas.getContext('2d');
+
+    let graph = { nodes: [], edges: [] };
+    let byId = new Map();
+    let neighbors = new Map();
+    let hover = null;
+    let W = 0, H = 0, dpr = 1;
+    let pending = false;
+
+    function fit() {
+        if (!W || !H) return;
+        const b = graphBounds(graph.nodes);
+        const cw = W / dpr, ch = H / dpr, margin = 24;
+        view.zoom = Math.max(0.1, Math.min(1.5, (cw - 2 * margin) / (b.maxX - b.minX), (ch - 2 * margin) / (b.maxY - b.minY)));
+        view.x = (cw - (b.maxX - b.minX) * view.zoom) / 2 - b.minX * view.zoom;
+        view.y = (ch - (b.maxY - b.minY) * view.zoom) / 2 - b.minY * view.zoom;
+        invalidate();
+    }
+
+    function toGraph(clientX, clientY) {
+        const rect = canvas.getBoundingClientRect();
+        return { x: (clientX - rect.left - view.x) / view.zoom, y: (clientY - rect.top - view.y) / view.zoom };
+    }
+
+    function nodeAt(clientX, clientY) {
+        const p = toGraph(clientX, clientY);
+        return graph.nodes.find(n => p.x >= n.x && p.x <= n.x + GRAPH_NODE_W && p.y >= n.y && p.y <= n.y + GRAPH_NODE_H) || null;
+    }
+
+    // ── Drawing ──
+
+    function drawEdge(a, b) {
+        const ay = a.y + GRAPH_NODE_H / 2, by = b.y + GRAPH_NODE_H / 2;
+        ctx.beginPath();
+        if (a.x === b.x) {
+            // Same column (package → content): loop out to the right
+            const x = a.x + GRAPH_NODE_W;
+            const bulge = 30 + Math.abs(by - ay) * 0.2;
+            ctx.moveTo(x, ay);
+            ctx.bezierCurveTo(x + bulge, ay, x + bulge, by, x, by);
+        } else {
+            const [l, r, ly, ry] = a.x < b.x ? [a, b, ay, by] : [b, a, by, ay];
+            const x0 = l.x + GRAPH_NODE_W, x1 = r.x, mid = (x0 + x1) / 2;
+            ctx.moveTo(x0, ly);
+            ctx.bezierCurveTo(mid, ly, mid, ry, x1, ry);
+        }
+        ctx.stroke();
+    }
+
+    function drawNode(node, dim) {
+        ctx.globalAlpha = dim ? 0.25 : 1;
+        ctx.fillStyle = GRAPH_LAYER_COLORS[node.kind];
+        ctx.beginPath();
+        ctx.roundRect(node.x, node.y, GRAPH_NODE_W, GRAPH_NODE_H, 4);
+        ctx.fill();
+        if (node.id === hover) {
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 1.5 / view.zoom;
+            ctx.stroke();
+        }
+        ctx.fillStyle = '#fff';
+        ctx.fillText(fitLabel(`${Model.iconFor(node.node)} ${node.name}`, GRAPH_NODE_W - 12), node.x + 6, node.y + GRAPH_NODE_H / 2);
+        ctx.globalAlpha = 1;
+    }
+
+    function fitLabel(text, width) {
+        if (ctx.measureText(text).width <= width) return text;
+        let s = text;
+        while (s.length > 1 && ctx.measureText(`${s}…`).width > width) s = s.slice(0, -1);
+        return `${s}…`;
+    }
+
+    function render() {
+        pending = false;
+        if (!ctx || W === 0 || H === 0) return;
+        if (view.zoom === undefined) fit();
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, W, H);
+        ctx.setTransform(dpr * view.zoom, 0, 0, dpr * view.zoom, dpr * view.x, dpr * view.y);
+
+        const near = hover ? new Set([hover, ...neighbors.get(hover)]) : null;
+        ctx.lineWidth = 1 / view.zoom;
+        for (const [a, b] of graph.edges) {
+            const lit = hover && (a === hover || b === hover);
+            ctx.strokeStyle = lit ? 'rgba(255, 255, 255, 0.85)' : `rgba(140, 150, 180, ${hover ? 0.12 : 0.35})`;
+            drawEdge(byId.get(a), byId.get(b));
+        }
+
+        ctx.font = '11px -apple-system, sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        for (const node of graph.nodes) drawNode(node, near && !near.has(node.id));
+    }
+
+    function invalidate() {
+        if (pending) return;
+        pending = true;
+        requestAnimationFrame(render);
+    }
+
+    function resize() {
+        if (!canvas.isConnected) {
+            if (observer) observer.disconnect();
+            return;
+        }
+        dpr = window.devicePixelRatio || 1;
+        W = Math.max(1, Math.round(canvas.clientWidth * dpr));
+        H = Math.max(1, Math.round(canvas.clientHeight * dpr));
+        canvas.width = W;
+        canvas.height = H;
+        invalidate();
+    }
+
+    // ── Input ──
+
+    let drag = null;
+
+    canvas.addEventListener('pointerdown', (e) => {
+        canvas.setPointerCapture(e.pointerId);
+        drag = { x: e.clientX, y: e.clientY };
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        if (drag) {
+            view.x += e.clientX - drag.x;
+            view.y += e.clientY - drag.y;
+            drag.x = e.clientX;
+            drag.y = e.clientY;
+            invalidate();
+            return;
+        }
+        const node = nodeAt(e.clientX, e.clientY);
+        const id = node ? node.id : null;
+        canvas.style.cursor = id ? 'pointer' : 'grab';
+        canvas.title = node ? `${node.kind}: ${node.name}` : '';
+        if (id !== hover) {
+            hover = id;
+            invalidate();
+        }
+    });
+
+    canvas.addEventListener('pointerup', () => { drag = null; });
+
+    canvas.addEventListener('pointerleave', () => {
+        if (hover === null) return;
+        hover = null;
+        invalidate();
+    });
+
+    canvas.addEventListener('dblclick', (e) => {
+        const node = nodeAt(e.clientX, e.clientY);
+        if (node) onOpen(node.id);
+    });
+
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        if (view.zoom === undefined) return;
+        const rect = canvas.getBoundingClientRect();
+        const sx = e.clientX - rect.left, sy = e.clientY - rect.top;
+        const zoom = Math.max(0.1, Math.min(4, view.zoom * Math.exp(-e.deltaY * 0.0015)));
+        // Keep the point under the cursor fixed
+        view.x = sx - (sx - view.x) * zoom / view.zoom;
+        view.y = sy - (sy - view.y) * zoom / view.zoom;
+        view.zoom = zoom;
+        invalidate();
+    }, { passive: false });
+
+    const observer = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(resize) : null;
+    if (observer) observer.observe(canvas);
+    requestAnimationFrame(resize);
+
+    // ── Public API ──
+
+    return {
+        canvas,
+
+        setGraph(next) {
+            graph = next;
+            byId = new Map(graph.nodes.map(n => [n.id, n]));
+            neighbors = layoutGraph(graph);
+            if (hover && !byId.has(hover)) hover = null;
+            invalidate();
+        },
+
+        /** Zoom and center so the whole graph is visible. */
+        fit,
+    };
+}
+
+window.RefGraph = { GRAPH_LAYERS, createGraphView };
@@ -14,6 +14,46 @@ const AssetType = {
     AUDIO: 'audio',
 };
 
+const OwnerType = ['account', 'group'];
+
+// Who may reference an inventory asset besides its owner: nobody, the
+// groups listed in `sharedWith`, or everyone
+const AccessLevel = ['private', 'shared', 'public'];
+
+// Instance classes the explorer knows how to show
+const InstanceClass = [
+    'Part', 'MeshPart', 'Model', 'Folder', 'Script', 'LocalScript',
+    'Decal', 'PackageLink', 'ImageLabel',
+];
+
+// Instance fields that reference inventory assets
+const REF_FIELDS = ['meshId', 'textureId', 'imageId', 'packageId'];
+
+// Asset type each reference field is expected to point at
+const REF_ASSET_TYPE = {
+    meshId: AssetType.MESH,
+    textureId: AssetType.IMAGE,
+    imageId: AssetType.IMAGE,
+    packageId: AssetType.PACKAGE,
+};
+
+// Fields `World.setProperty` may change, per node kind
+const EDITABLE_FIELDS = {
+    game: ['name'],
+    place: ['name'],
+    asset: ['name', 'file'],
+    instance: ['name', 'size', 'position', 'color', ...REF_FIELDS],
+};
+
+// Asset types whose `file` (a path or data URI) holds previewable media
+const MEDIA_TYPES = [AssetType.IMAGE, AssetType.AUDIO];
+
+// Node kinds a change feed may add, update or remove (see World.applyEvent)
+const FEED_KINDS = ['owner', 'game', 'place', 'instance', 'asset'];
+
+// Fields that place a node in the hierarchy; feed updates may not change them
+const FIXED_FIELDS = ['id', 'kind', 'ownerId', 'gameId', 'placeId', 'parentId', 'children', 'instances', 'places', 'games', 'inventory', 'pins'];
+
 const ICONS = {
     account: '👤',
     group: '👥',
@@ -27,6 +67,7 @@ const ICONS = {
     Part: '🧱',
     MeshPart: '🔷',
     Model: '📦',
+    Folder: '📁',
     Script: '📜',
     LocalScript: '📜',
     Decal: '🖼️',
@@ -45,45 +86,127 @@ function iconFor(thing) {
     return ICONS.unknown;
 }
 
+// A reference may pin one version of its asset: "pkg1@3". Unpinned
+// references follow the latest version.
+const PIN_PATTERN = /^(.+)@([1-9]\d*)$/;
+
+/** `{ id, version }` of a reference value; `version` is null when unpinned. */
+function parseRef(value) {
+    const match = typeof value === 'string' ? PIN_PATTERN.exec(value) : null;
+    return match ? { id: match[1], version: Number(match[2]) } : { id: value || null, version: null };
+}
+
+function formatRef(id, version = null) {
+    if (!id) return null;
+    return version ? `${id}@${version}` : id;
+}
+
 // =============================================================================
 // World: central registry loaded from owners.json
 // =============================================================================
 
 class World {
-    constructor(data) {
+    // Loading is forgiving: nodes without an id or with an id that is already
+    // taken are skipped (with their subtree), missing arrays count as empty.
+    // `validateData` reports each of those problems in `diagnostics`, unless
+    // the caller already checked the data (see `mergeSources`).
+    constructor(data, { diagnostics = null } = {}) {
         this.owners = [];
         this.byId = new Map();        // id -> any node
-        this.usages = new Map();      // inventoryAssetId -> [{ownerId, gameId, placeId, instanceId}]
+        this.usages = new Map();      // inventoryAssetId -> [{field, ownerId, gameId, placeId, instanceId, ...}]
+        this.containedIn = new Map(); // assetId -> Set of package ids whose contents reference it
+        // Secondary indexes for search and bulk queries; see _index
+        this.byClass = new Map();     // lowercased instance class -> Set of instances
+        this.byName = new Map();      // lowercased name (id for owners) -> Set of nodes
+        this.byLowerId = new Map();   // lowercased id -> Set of nodes (ids differing only in case share one)
+        this.byOwner = new Map();     // lowercased owner id -> Set of nodes (the owner included)
+        this.diagnostics = diagnostics ? [...diagnostics] : validateData(data);
+        this.listeners = [];
+        // The data as loaded, for diffing edits against
+        this.source = JSON.parse(JSON.stringify(data ?? null));
 
-        for (const ownerData of data.owners) {
+        for (const ownerData of asArray(data && data.owners)) {
             const owner = this._loadOwner(ownerData);
-            this.owners.push(owner);
+            if (owner) this.owners.push(owner);
+        }
+        this._reportPackageCycles(data);
+    }
+
+    _register(node) {
+        if (typeof node.id !== 'string' || !node.id || this.byId.has(node.id)) return false;
+        this.byId.set(node.id, node);
+        this._index(node);
+        return true;
+    }
+
+    _unregister(node) {
+        this.byId.delete(node.id);
+        this._unindex(node);
+    }
+
+    // Add a node to the secondary indexes (drop it with _unindex first when
+    // an indexed field changes)
+    _index(node) {
+        for (const [map, key] of this._indexKeys(node)) {
+            if (!map.has(key)) map.set(key, new Set());
+            map.get(key).add(node);
         }
     }
 
+    _unindex(node) {
+        for (const [map, key] of this._indexKeys(node)) {
+            const set = map.get(key);
+            if (!set) continue;
+            set.delete(node);
+            if (set.size === 0) map.delete(key);
+        }
+    }
+
+    _indexKeys(node) {
+        const keys = [
+            [this.byName, String(node.name || node.id).toLowerCase()],
+            [this.byLowerId, String(node.id).toLowerCase()],
+            [this.byOwner, String(node.kind === 'owner' ? node.id : node.ownerId || '').toLowerCase()],
+        ];
+        if (node.kind === 'instance') keys.push([this.byClass, String(node.class || '').toLowerCase()]);
+        return keys;
+    }
+
     _loadOwner(d) {
+        if (!isObject(d)) return null;
         const owner = {
             kind: 'owner',
             id: d.id,
             type: d.type,           // 'account' or 'group'
+            access: d.access || null,           // default for the inventory
+            sharedWith: d.sharedWith || null,
+            sourceId: d.sourceId || null,       // set by mergeSources
             games: [],
             inventory: [],
         };
-        this.byId.set(owner.id, owner);
+        if (!this._register(owner)) return null;
 
-        for (const g of d.games) {
+        for (const g of asArray(d.games)) {
             const game = this._loadGame(g, owner);
-            owner.games.push(game);
+            if (game) owner.games.push(game);
         }
-        for (const a of (d.inventory || [])) {
-            const asset = { kind: 'asset', ...a, ownerId: owner.id };
-            owner.inventory.push(asset);
-            this.byId.set(asset.id, asset);
+        for (const a of asArray(d.inventory)) {
+            const asset = this._loadAsset(a, owner);
+            if (asset) owner.inventory.push(asset);
         }
         return owner;
     }
 
+    _loadAsset(d, owner) {
+        if (!isObject(d)) return null;
+        const asset = { kind: 'asset', ...d, ownerId: owner.id };
+        if (!this._register(asset)) return null;
+        if (asset.type === AssetType.PACKAGE) this._indexPackage(asset);
+        return asset;
+    }
+
     _loadGame(d, owner) {
+        if (!isObject(d)) return null;
         const game = {
             kind: 'game',
             id: d.id,
@@ -91,34 +214,40 @@ class World {
             ownerId: owner.id,
             places: [],
         };
-        this.byId.set(game.id, game);
+        if (!this._register(game)) return null;
 
-        for (const p of d.places) {
+        for (const p of asArray(d.places)) {
             const place = this._loadPlace(p, game, owner);
-            game.places.push(place);
+            if (place) game.places.push(place);
         }
         return game;
     }
 
     _loadPlace(d, game, owner) {
+        if (!isObject(d)) return null;
         const place = {
             kind: 'place',
             id: d.id,
             name: d.name,
             gameId: game.id,
             ownerId: owner.id,
-            instances: [],
+            instances: [],          // every instance in the place, document order
+            children: [],           // top-level instances (roots of the hierarchy)
         };
-        this.byId.set(place.id, place);
+        if (!this._register(place)) return null;
 
-        for (const inst of (d.instances || [])) {
-            const instance = this._loadInstance(inst, place, owner);
-            place.instances.push(instance);
+        for (const inst of asArray(d.instances)) {
+            this._loadInstance(inst, place, owner, null);
+        }
+        this._linkHierarchy(place);
+        for (const instance of place.instances) {
+            this._trackUsages(instance, place);
         }
         return place;
     }
 
-    _loadInstance(d, place, owner) {
+    _loadInstance(d, place, owner, parent) {
+        if (!isObject(d)) return null;
         const instance = {
             kind: 'instance',
             id: d.id,
@@ -127,50 +256,1788 @@ class World {
             placeId: place.id,
             gameId: place.gameId,
             ownerId: owner.id,
-            // Keep reference IDs for cross-linking
-            meshId: d.meshId || null,
-            textureId: d.textureId || null,
-            imageId: d.imageId || null,
-            packageId: d.packageId || null,
-            size: d.size || null,
-            position: d.position || null,
-            color: d.color || null,
-        };
-        this.byId.set(instance.id, instance);
-
-        // Track usages of inventory assets
-        const refs = [d.meshId, d.textureId, d.imageId, d.packageId].filter(Boolean);
-        for (const refId of refs) {
+            // Nested `children` win over a declared `parentId`
+            parentId: parent ? parent.id : (d.parentId || null),
+            children: [],
+            // Keep reference IDs for cross-linking; pinned versions go to `pins`
+            meshId: null,
+            textureId: null,
+            imageId: null,
+            packageId: null,
+            pins: {},               // field -> pinned version number
+            size: isVector3(d.size) ? d.size : null,
+            position: isVector3(d.position) ? d.position : null,
+            color: isVector3(d.color) ? d.color : null,
+        };
+        for (const field of REF_FIELDS) this._setRef(instance, field, d[field]);
+        if (!this._register(instance)) return null;
+        place.instances.push(instance);
+
+        for (const child of asArray(d.children)) {
+            this._loadInstance(child, place, owner, instance);
+        }
+        return instance;
+    }
+
+    // Attach every instance to its parent (or the place root). Parents that
+    // are missing, live in another place, or would form a cycle fall back
+    // to the root so nothing disappears from the tree.
+    _linkHierarchy(place) {
+        for (const inst of place.instances) {
+            const parent = inst.parentId ? this.byId.get(inst.parentId) : null;
+            const valid = parent && parent.kind === 'instance' && parent.placeId === place.id
+                && !this._wouldCycle(inst, parent, place.instances.length);
+            if (valid) {
+                parent.children.push(inst);
+            } else {
+                inst.parentId = null;
+                place.children.push(inst);
+            }
+        }
+    }
+
+    _wouldCycle(inst, parent, maxDepth) {
+        let cur = parent;
+        for (let i = 0; cur && i <= maxDepth; i++) {
+            if (cur === inst) return true;
+            cur = cur.parentId ? this.byId.get(cur.parentId) : null;
+        }
+        return !!cur;
+    }
+
+    // Split a reference value into the id field and its pin
+    _setRef(instance, field, value) {
+        const { id, version } = parseRef(value);
+        instance[field] = id;
+        if (version) instance.pins[field] = version;
+        else delete instance.pins[field];
+    }
+
+    // Track usages of inventory assets
+    _trackUsages(instance, place) {
+        for (const field of REF_FIELDS) {
+            const refId = instance[field];
+            if (!refId) continue;
             if (!this.usages.has(refId)) this.usages.set(refId, []);
             this.usages.get(refId).push({
-                ownerId: owner.id,
+                field,
+                version: instance.pins[field] || null,
+                ownerId: instance.ownerId,
                 gameId: place.gameId,
                 placeId: place.id,
                 instanceId: instance.id,
                 instanceName: instance.name,
                 placeName: place.name,
+                path: this.getInstancePath(instance),
             });
         }
-        return instance;
+    }
+
+    _untrackUsages(instance) {
+        for (const refId of REF_FIELDS.map(f => instance[f]).filter(Boolean)) {
+            const list = (this.usages.get(refId) || []).filter(u => u.instanceId !== instance.id);
+            if (list.length) this.usages.set(refId, list);
+            else this.usages.delete(refId);
+        }
+    }
+
+    // Usage records carry names and paths, so renames must rebuild them
+    _retrack(instances) {
+        for (const instance of instances) {
+            this._untrackUsages(instance);
+            this._trackUsages(instance, this.byId.get(instance.placeId));
+        }
+    }
+
+    /** A reference field of an instance as stored, pin included: "pkg1@3". */
+    getRef(instance, field) {
+        return formatRef(instance[field], instance.pins[field]);
+    }
+
+    /** Highest version number in an asset's `versions`, or null without any. */
+    latestVersion(asset) {
+        const numbers = asArray(asset && asset.versions).map(v => v && v.version).filter(n => Number.isInteger(n) && n > 0);
+        return numbers.length ? Math.max(...numbers) : null;
+    }
+
+    /** Whether an instance's reference is pinned to a version older than the asset's latest. */
+    isOutdated(instance, field) {
+        const pin = instance.pins && instance.pins[field];
+        const latest = pin ? this.latestVersion(this.get(instance[field])) : null;
+        return !!latest && pin < latest;
+    }
+
+    /** An instance followed by all of its descendants, depth first. */
+    getDescendants(instance) {
+        const out = [instance];
+        for (const child of instance.children) out.push(...this.getDescendants(child));
+        return out;
+    }
+
+    /** Ancestors of an instance, outermost first (the instance itself excluded). */
+    getAncestors(instance) {
+        const chain = [];
+        let cur = instance.parentId ? this.byId.get(instance.parentId) : null;
+        while (cur) {
+            chain.unshift(cur);
+            cur = cur.parentId ? this.byId.get(cur.parentId) : null;
+        }
+        return chain;
+    }
+
+    /** Full path of an instance including its place, e.g. `Lobby/Scenery/Tree1`. */
+    getInstancePath(instance) {
+        const place = this.byId.get(instance.placeId);
+        const names = this.getAncestors(instance).map(a => a.name);
+        return [place ? place.name : instance.placeId, ...names, instance.name].join('/');
     }
 
     get(id) {
         return this.byId.get(id) || null;
     }
 
-    getUsages(assetId) {
-        return this.usages.get(assetId) || [];
+    // =========================================================================
+    // Editing
+    // =========================================================================
+
+    /** Register a change listener; returns a function that removes it. */
+    subscribe(fn) {
+        this.listeners.push(fn);
+        return () => { this.listeners = this.listeners.filter(l => l !== fn); };
+    }
+
+    _emit(change) {
+        if (this._remote) change = { ...change, remote: true };
+        for (const fn of this.listeners) fn(change);
     }
+
+    /**
+     * Change one field of a node, keeping `usages` in sync. Throws on fields
+     * that are not editable or values of the wrong shape. Returns the
+     * previous value so callers can undo. Listeners receive
+     * `{ type: 'update', id, field, value, previous, ids }` where `ids` lists
+     * every node whose display may have changed.
+     */
+    setProperty(id, field, value) {
+        const node = this.get(id);
+        if (!node) throw new Error(`No node with id "${id}"`);
+        if (!(EDITABLE_FIELDS[node.kind] || []).includes(field)) {
+            throw new Error(`"${field}" is not editable on ${node.kind} "${id}"`);
+        }
+        if (field === 'name' && (typeof value !== 'string' || !value.trim())) {
+            throw new Error('Name cannot be empty');
+        }
+        if (['size', 'position', 'color'].includes(field) && value !== null && !isVector3(value)) {
+            throw new Error(`${field} must be three numbers`);
+        }
+        if (REF_FIELDS.includes(field) && value !== null && (typeof value !== 'string' || !value)) {
+            throw new Error(`${field} must be an asset id`);
+        }
+        if (field === 'file' && value !== null && (typeof value !== 'string' || !value)) {
+            throw new Error('file must be a path or data URI');
+        }
+
+        const isRef = node.kind === 'instance' && REF_FIELDS.includes(field);
+        const previous = isRef ? this.getRef(node, field) : node[field];
+        const ids = new Set([node.id, node.placeId, node.gameId, node.ownerId].filter(Boolean));
+
+        this._unindex(node);
+        if (node.kind === 'instance') {
+            this._untrackUsages(node);
+            if (isRef) this._setRef(node, field, value);
+            else node[field] = value;
+            this._retrack(field === 'name' ? this.getDescendants(node) : [node]);
+            if (isRef && previous) ids.add(parseRef(previous).id);
+            for (const inst of this.getDescendants(node)) {
+                for (const f of REF_FIELDS) if (inst[f]) ids.add(inst[f]);
+            }
+        } else {
+            node[field] = value;
+            // Names show up wherever the node is referenced or contained,
+            // as in remote updates (see _affectedBy)
+            if (node.kind === 'asset') this._assetIds(node).forEach(extra => ids.add(extra));
+            if (node.kind === 'game') this._gameIds(node).forEach(extra => ids.add(extra));
+            if (node.kind === 'place') {
+                this._retrack(node.instances);
+                for (const inst of node.instances) {
+                    for (const f of REF_FIELDS) if (inst[f]) ids.add(inst[f]);
+                }
+            }
+        }
+        this._index(node);
+
+        this._emit({ type: 'update', id, field, value, previous, ids: [...ids] });
+        return previous;
+    }
+
+    /**
+     * Point many instance references elsewhere in one step. `edits` is
+     * `[{ id, field, value }]` with values as `setProperty` takes them
+     * ("mesh6", "pkg1@3" or null). Every edit is checked before anything
+     * changes, so a bad one leaves the World untouched. Returns the previous
+     * values in the same shape; apply them in reverse order to undo.
+     * Listeners receive a single `{ type: 'update', ids }`.
+     */
+    setReferences(edits) {
+        for (const { id, field, value } of edits) {
+            const node = this.get(id);
+            if (!node || node.kind !== 'instance') throw new Error(`No instance with id "${id}"`);
+            if (!REF_FIELDS.includes(field)) throw new Error(`"${field}" is not a reference field`);
+            if (value !== null && (typeof value !== 'string' || !value)) throw new Error(`${field} must be an asset id`);
+        }
+
+        const ids = new Set();
+        const previous = this._setReferences(edits, ids);
+        this._emit({ type: 'update', ids: [...ids] });
+        return previous;
+    }
+
+    // Apply checked reference edits, collecting affected ids into `ids`
+    _setReferences(edits, ids) {
+        const previous = [];
+        for (const { id, field, value } of edits) {
+            const node = this.get(id);
+            previous.push({ id, field, value: this.getRef(node, field) });
+            if (node[field]) ids.add(node[field]);
+            this._untrackUsages(node);
+            this._setRef(node, field, value);
+            this._trackUsages(node, this.get(node.placeId));
+            for (const extra of [node.id, node.placeId, node.gameId, node.ownerId, node[field]]) if (extra) ids.add(extra);
+        }
+        return previous;
+    }
+
+    /**
+     * A fresh id that no node uses yet. Pass a `reserved` set to hand out
+     * several ids before any of them is registered; the new id is added to it.
+     */
+    newId(prefix = 'i', reserved = null) {
+        let n = this.byId.size + 1;
+        while (this.byId.has(`${prefix}${n}`) || (reserved && reserved.has(`${prefix}${n}`))) n++;
+        const id = `${prefix}${n}`;
+        if (reserved) reserved.add(id);
+        return id;
+    }
+
+    /**
+     * Add an instance (with any nested `children`) to a place, under
+     * `parentId` or at the root, optionally at a sibling `index`. `data`
+     * uses the owners.json instance shape. Emits `{ type: 'add', id, ids }`.
+     */
+    addInstance(placeId, data, parentId = null, index = null) {
+        const place = this.get(placeId);
+        if (!place || place.kind !== 'place') throw new Error(`No place with id "${placeId}"`);
+        const parent = parentId ? this.get(parentId) : null;
+        if (parentId && (!parent || parent.placeId !== placeId)) {
+            throw new Error(`No instance "${parentId}" in place "${placeId}"`);
+        }
+        if (this.byId.has(data.id)) throw new Error(`Duplicate id "${data.id}"`);
+
+        const start = place.instances.length;
+        const instance = this._loadInstance(data, place, this.get(place.ownerId), parent);
+        if (!instance) throw new Error('Instance data needs an id');
+        const added = place.instances.slice(start);
+
+        // _loadInstance records parent ids; link the new subtree in
+        for (const inst of added) {
+            if (inst === instance) continue;
+            this.byId.get(inst.parentId).children.push(inst);
+        }
+        const siblings = parent ? parent.children : place.children;
+        siblings.splice(index === null ? siblings.length : index, 0, instance);
+        for (const inst of added) this._trackUsages(inst, place);
+
+        this._emit({ type: 'add', id: instance.id, ids: this._affectedIds(added, place) });
+        return instance;
+    }
+
+    /**
+     * Remove an instance and its descendants. Returns what `addInstance`
+     * needs to put it back: `{ placeId, parentId, index, data }`.
+     * Emits `{ type: 'remove', id, ids }`.
+     */
+    removeInstance(id) {
+        const instance = this.get(id);
+        if (!instance || instance.kind !== 'instance') throw new Error(`No instance with id "${id}"`);
+        const place = this.get(instance.placeId);
+        const removed = this.getDescendants(instance);
+        const ids = this._affectedIds(removed, place);
+        const restore = {
+            placeId: place.id,
+            parentId: instance.parentId,
+            index: null,
+            data: this.serializeInstance(instance),
+        };
+
+        const siblings = instance.parentId ? this.get(instance.parentId).children : place.children;
+        restore.index = siblings.indexOf(instance);
+        siblings.splice(restore.index, 1);
+        const gone = new Set(removed);
+        place.instances = place.instances.filter(i => !gone.has(i));
+        for (const inst of removed) {
+            this._untrackUsages(inst);
+            this._unregister(inst);
+        }
+
+        this._emit({ type: 'remove', id, ids });
+        return restore;
+    }
+
+    /**
+     * Add a place (owners.json place shape, instances included) to a game,
+     * optionally at `index` among its places. Emits `{ type: 'add', id, ids }`.
+     */
+    addPlace(gameId, data, index = null) {
+        const game = this.get(gameId);
+        if (!game || game.kind !== 'game') throw new Error(`No game with id "${gameId}"`);
+        if (this.byId.has(data.id)) throw new Error(`Duplicate id "${data.id}"`);
+
+        const place = this._loadPlace(data, game, this.get(game.ownerId));
+        if (!place) throw new Error('Place data needs an id');
+        game.places.splice(index === null ? game.places.length : index, 0, place);
+
+        this._emit({ type: 'add', id: place.id, ids: this._affectedIds(place.instances, place) });
+        return place;
+    }
+
+    /**
+     * Remove a place with all its instances. Returns what `addPlace` needs
+     * to put it back: `{ gameId, index, data }`. Emits `{ type: 'remove', id, ids }`.
+     */
+    removePlace(id) {
+        const place = this.get(id);
+        if (!place || place.kind !== 'place') throw new Error(`No place with id "${id}"`);
+        const game = this.get(place.gameId);
+        const ids = this._affectedIds(place.instances, place);
+        const restore = { gameId: game.id, index: game.places.indexOf(place), data: this.serializePlace(place) };
+
+        game.places.splice(restore.index, 1);
+        for (const inst of place.instances) {
+            this._untrackUsages(inst);
+            this._unregister(inst);
+        }
+        this._unregister(place);
+
+        this._emit({ type: 'remove', id, ids });
+        return restore;
+    }
+
+    /**
+     * The World in the owners.json shape, without derived fields (`kind`,
+     * `ownerId`, `gameId`, ...). Children are written nested.
+     */
+    toJSON() {
+        return {
+            owners: this.owners.map(owner => ({
+                id: owner.id,
+                type: owner.type,
+                ...(owner.access ? { access: owner.access } : {}),
+                ...(owner.sharedWith ? { sharedWith: owner.sharedWith } : {}),
+                games: owner.games.map(game => ({
+                    id: game.id,
+                    name: game.name,
+                    places: game.places.map(place => this.serializePlace(place)),
+                })),
+                inventory: owner.inventory.map(asset => this.serializeAsset(asset)),
+            })),
+        };
+    }
+
+    serializePlace(place) {
+        return {
+            id: place.id,
+            name: place.name,
+            instances: place.children.map(inst => this.serializeInstance(inst)),
+        };
+    }
+
+    serializeAsset(asset) {
+        const { kind, ownerId, ...data } = asset;
+        if (data.file === null) delete data.file;
+        return data;
+    }
+
+    /** An instance and its subtree in the owners.json shape. */
+    serializeInstance(instance) {
+        const out = { id: instance.id, class: instance.class, name: instance.name };
+        for (const field of REF_FIELDS) {
+            if (instance[field]) out[field] = this.getRef(instance, field);
+        }
+        for (const field of ['size', 'position', 'color']) {
+            if (instance[field] !== null && instance[field] !== undefined) out[field] = instance[field];
+        }
+        if (instance.children.length) out.children = instance.children.map(c => this.serializeInstance(c));
+        return out;
+    }
+
+    // Nodes whose display changes when `instances` of `place` come or go
+    _affectedIds(instances, place) {
+        const ids = new Set([place.id, place.gameId, place.ownerId]);
+        for (const inst of instances) {
+            ids.add(inst.id);
+            if (inst.parentId) ids.add(inst.parentId);
+            for (const f of REF_FIELDS) if (inst[f]) ids.add(inst[f]);
+        }
+        return [...ids];
+    }
+
+    /** Owner → game → place → ancestor chain leading to a node (node excluded). */
+    getBreadcrumb(node) {
+        const crumbs = [];
+        const owner = node.ownerId ? this.byId.get(node.ownerId) : null;
+        if (owner) crumbs.push(owner);
+        const game = node.gameId ? this.byId.get(node.gameId) : null;
+        if (game) crumbs.push(game);
+        const place = node.placeId ? this.byId.get(node.placeId) : null;
+        if (place) crumbs.push(place);
+        if (node.kind === 'instance') crumbs.push(...this.getAncestors(node));
+        return crumbs;
+    }
+
+    /**
+     * Fuzzy search over every node. The query may mix free text with typed
+     * filters: `type:mesh`, `class:MeshPart`, `owner:cool-group`, `kind:place`,
+     * `game:obby`, `place:p1` and `refs:inventory` (or `other`, `none`).
+     * Results are ordered by kind (owners first, instances last), then score.
+     * Text is scored once per distinct name through `byName` and once per
+     * id through `byLowerId`, an id match scoring a point below a name
+     * match; narrowing filters limit the ids scored to their candidates.
+     */
+    search(query, limit = 50) {
+        const { text, filters } = parseSearchQuery(query);
+        const results = [];
+
+        // class: and owner: narrow the candidates through their indexes
+        let candidates = null;
+        if (filters.class) candidates = this.byClass.get(filters.class) || new Set();
+        if (filters.owner) {
+            const owned = this.byOwner.get(filters.owner) || new Set();
+            candidates = candidates ? new Set([...candidates].filter(n => owned.has(n))) : owned;
+        }
+        const consider = (node, score) => {
+            if ((!candidates || candidates.has(node)) && matchesFilters(node, filters, this)) results.push({ node, score });
+        };
+
+        if (!text) {
+            for (const node of candidates || this.byId.values()) consider(node, 0);
+        } else {
+            const scores = new Map();       // node -> best of its name and id scores
+            for (const nodes of this.byName.values()) {
+                const [first] = nodes;      // original casing, for word-start bonuses
+                const score = fuzzyScore(text, first.name || first.id);
+                if (score > 0) for (const node of nodes) scores.set(node, score);
+            }
+            const byId = candidates ? [...candidates].map(n => [n]) : this.byLowerId.values();
+            for (const nodes of byId) {
+                const [first] = nodes;
+                const score = fuzzyScore(text, first.id) - 1;
+                if (score <= 0) continue;
+                for (const node of nodes) if (score > (scores.get(node) || 0)) scores.set(node, score);
+            }
+            for (const [node, score] of scores) consider(node, score);
+        }
+
+        results.sort((a, b) =>
+            (KIND_RANK[a.node.kind] - KIND_RANK[b.node.kind]) || (b.score - a.score)
+            || (a.node.name || a.node.id).localeCompare(b.node.name || b.node.id));
+        return results.slice(0, limit);
+    }
+
+    /**
+     * Usage records of an asset. With `indirect`, usages of every package
+     * that contains the asset (at any depth) are included too, each marked
+     * with `via: packageId`.
+     */
+    getUsages(assetId, { indirect = false } = {}) {
+        const direct = this.usages.get(assetId) || [];
+        if (!indirect) return direct;
+        const viaPackages = this.getContainingPackages(assetId)
+            .flatMap(pkgId => this.getUsages(pkgId).map(u => ({ ...u, via: pkgId })));
+        return [...direct, ...viaPackages];
+    }
+
+    // =========================================================================
+    // Remote changes
+    // =========================================================================
+    // A change feed streams edits made elsewhere as events:
+    //   { type: 'add', kind, parentId, index?, data }
+    //   { type: 'update', kind, id, fields: { field: value, ... } }
+    //   { type: 'remove', kind, id }
+    // `kind` is owner, game, place, instance or asset. An add's `parentId` is
+    // the owner of a game or asset, the game of a place, and the place or
+    // parent instance of an instance; owners need none. `data` uses the
+    // owners.json shape, nested children included. A null field value in an
+    // update clears the field.
+
+    /**
+     * Apply one change-feed event, keeping `usages` and the indexes in sync.
+     * Throws (without changing anything) when the event doesn't fit: unknown
+     * node, wrong kind, taken id, or a field that places the node (ids,
+     * parents, children) in an update. Listeners receive the usual add,
+     * update or remove change marked `remote: true`. `source` is patched
+     * too, so change review keeps listing only local edits.
+     */
+    applyEvent(event) {
+        if (!isObject(event) || !FEED_KINDS.includes(event.kind)) throw new Error('Malformed change event');
+        this._remote = true;
+        try {
+            switch (event.type) {
+                case 'add': this._applyAdd(event); break;
+                case 'update': this._applyUpdate(event); break;
+                case 'remove': this._applyRemove(event); break;
+                default: throw new Error(`Unknown change event type "${event.type}"`);
+            }
+        } finally {
+            this._remote = false;
+        }
+        patchData(this.source, event);
+    }
+
+    _expect(id, kind) {
+        const node = id ? this.get(id) : null;
+        if (!node || node.kind !== kind) throw new Error(`No ${kind} with id "${id}"`);
+        return node;
+    }
+
+    _applyAdd({ kind, parentId, index = null, data }) {
+        if (!isObject(data) || typeof data.id !== 'string' || !data.id) throw new Error(`Added ${kind} needs an id`);
+        if (this.byId.has(data.id)) throw new Error(`Duplicate id "${data.id}"`);
+        const at = (list) => (index === null ? list.length : index);
+
+        switch (kind) {
+            case 'instance': {
+                const parent = this.get(parentId);
+                if (parent && parent.kind === 'instance') this.addInstance(parent.placeId, data, parent.id, index);
+                else this.addInstance(this._expect(parentId, 'place').id, data, null, index);
+                return;
+            }
+            case 'place':
+                this.addPlace(parentId, data, index);
+                return;
+            case 'game': {
+                const owner = this._expect(parentId, 'owner');
+                const game = this._loadGame(data, owner);
+                owner.games.splice(at(owner.games), 0, game);
+                this._emit({ type: 'add', id: game.id, ids: [owner.id, ...this._gameIds(game)] });
+                return;
+            }
+            case 'asset': {
+                const owner = this._expect(parentId, 'owner');
+                const asset = this._loadAsset(data, owner);
+                owner.inventory.splice(at(owner.inventory), 0, asset);
+                this._emit({ type: 'add', id: asset.id, ids: this._assetIds(asset) });
+                return;
+            }
+            case 'owner': {
+                const owner = this._loadOwner(data);
+                this.owners.splice(at(this.owners), 0, owner);
+                this._emit({ type: 'add', id: owner.id, ids: this._ownerIds(owner) });
+                return;
+            }
+        }
+    }
+
+    _applyUpdate({ kind, id, fields }) {
+        const node = this._expect(id, kind);
+        if (!isObject(fields)) throw new Error('Update event needs fields');
+        const fixed = Object.keys(fields).filter(f => FIXED_FIELDS.includes(f));
+        if (fixed.length) throw new Error(`Can't update ${fixed.join(', ')} of ${kind} "${id}"`);
+
+        // Names and references feed the usage records of everything below
+        const below = kind === 'instance' ? this.getDescendants(node)
+            : kind === 'place' ? node.instances
+            : kind === 'game' ? node.places.flatMap(p => p.instances)
+            : [];
+        const refsBelow = () => below.flatMap(inst => REF_FIELDS.map(f => inst[f]).filter(Boolean));
+        const ids = new Set([...this._affectedBy(node), ...below.map(inst => inst.id), ...refsBelow()]);
+        const isPackage = () => node.kind === 'asset' && node.type === AssetType.PACKAGE;
+
+        this._unindex(node);
+        below.forEach(inst => this._untrackUsages(inst));
+        if (isPackage()) this._unindexPackage(node);
+        for (const [field, value] of Object.entries(fields)) {
+            if (kind === 'instance' && REF_FIELDS.includes(field)) this._setRef(node, field, value);
+            else if (kind === 'instance' && ['size', 'position', 'color'].includes(field)) node[field] = isVector3(value) ? value : null;
+            else if (value === null) delete node[field];
+            else node[field] = value;
+        }
+        if (isPackage()) this._indexPackage(node);
+        below.forEach(inst => this._trackUsages(inst, this.get(inst.placeId)));
+        this._index(node);
+
+        for (const extra of [...this._affectedBy(node), ...refsBelow()]) ids.add(extra);
+        this._emit({ type: 'update', id, fields, ids: [...ids] });
+    }
+
+    _applyRemove({ kind, id }) {
+        const node = this._expect(id, kind);
+        switch (kind) {
+            case 'instance':
+                this.removeInstance(id);
+                return;
+            case 'place':
+                this.removePlace(id);
+                return;
+            case 'game': {
+                const ids = [node.ownerId, ...this._gameIds(node)];
+                this._dropGame(node);
+                this._emit({ type: 'remove', id, ids });
+                return;
+            }
+            case 'asset': {
+                const ids = this._assetIds(node);
+                this._dropAsset(node);
+                this._emit({ type: 'remove', id, ids });
+                return;
+            }
+            case 'owner': {
+                const ids = this._ownerIds(node);
+                [...node.games].forEach(g => this._dropGame(g));
+                [...node.inventory].forEach(a => this._dropAsset(a));
+                this._unregister(node);
+                this.owners.splice(this.owners.indexOf(node), 1);
+                this._emit({ type: 'remove', id, ids });
+                return;
+            }
+        }
+    }
+
+    _dropGame(game) {
+        for (const place of game.places) {
+            for (const inst of place.instances) {
+                this._untrackUsages(inst);
+                this._unregister(inst);
+            }
+            this._unregister(place);
+        }
+        this._unregister(game);
+        const owner = this.get(game.ownerId);
+        owner.games.splice(owner.games.indexOf(game), 1);
+    }
+
+    _dropAsset(asset) {
+        if (asset.type === AssetType.PACKAGE) this._unindexPackage(asset);
+        this._unregister(asset);
+        const owner = this.get(asset.ownerId);
+        owner.inventory.splice(owner.inventory.indexOf(asset), 1);
+    }
+
+    // Nodes whose display depends on `node` itself: its parents, and for an
+    // asset whatever uses or contains it, for an owner its inventory
+    _affectedBy(node) {
+        switch (node.kind) {
+            case 'asset': return this._assetIds(node);
+            case 'owner': return [node.id, ...node.inventory.map(a => a.id)];
+            default: return [node.id, node.placeId, node.gameId, node.ownerId].filter(Boolean);
+        }
+    }
+
+    _gameIds(game) {
+        return [game.id, ...game.places.flatMap(p => this._affectedIds(p.instances, p))];
+    }
+
+    _assetIds(asset) {
+        const ids = new Set([asset.id, asset.ownerId]);
+        for (const u of this.getUsages(asset.id)) {
+            ids.add(u.instanceId);
+            ids.add(u.placeId);
+        }
+        for (const { refId } of this.getPackageRefs(asset.id)) ids.add(refId);
+        for (const pkgId of this.containedIn.get(asset.id) || []) ids.add(pkgId);
+        return [...ids];
+    }
+
+    _ownerIds(owner) {
+        return [owner.id, ...owner.games.flatMap(g => this._gameIds(g)), ...owner.inventory.flatMap(a => this._assetIds(a))];
+    }
+
+    // =========================================================================
+    // Packages
+    // =========================================================================
+    // A package may declare `contents`: instances in the owners.json shape
+    // whose reference fields pull in other assets and packages. Contents are
+    // not registered in `byId`; they are resolved on demand.
+
+    _indexPackage(pkg) {
+        for (const { refId } of this.getPackageRefs(pkg.id)) {
+            if (!this.containedIn.has(refId)) this.containedIn.set(refId, new Set());
+            this.containedIn.get(refId).add(pkg.id);
+        }
+    }
+
+    _unindexPackage(pkg) {
+        for (const [refId, pkgIds] of this.containedIn) {
+            pkgIds.delete(pkg.id);
+            if (pkgIds.size === 0) this.containedIn.delete(refId);
+        }
+    }
+
+    /**
+     * References made by a package's own contents:
+     * `[{ refId, version, field, path, instance }]`, where `version` is the
+     * pinned version or null and `path` starts at the package name, e.g.
+     * `UI Kit/Frame/Logo`.
+     */
+    getPackageRefs(packageId) {
+        const pkg = this.get(packageId);
+        const refs = [];
+        const walk = (d, parentPath) => {
+            if (!isObject(d)) return;
+            const path = `${parentPath}/${d.name}`;
+            for (const field of REF_FIELDS) {
+                if (typeof d[field] !== 'string' || !d[field]) continue;
+                const { id, version } = parseRef(d[field]);
+                refs.push({ refId: id, version, field, path, instance: d });
+            }
+            asArray(d.children).forEach(c => walk(c, path));
+        };
+        if (pkg && pkg.type === AssetType.PACKAGE) asArray(pkg.contents).forEach(c => walk(c, pkg.name));
+        return refs;
+    }
+
+    /**
+     * Everything a package pulls in, transitively, breadth first:
+     * `[{ id, depth, via }]` where `via` is the package referencing it
+     * (the package itself at depth 1). Ids missing from `byId` are included.
+     */
+    getDependencies(packageId) {
+        const out = [];
+        const seen = new Set([packageId]);
+        let frontier = [packageId];
+        for (let depth = 1; frontier.length; depth++) {
+            const next = [];
+            for (const pkgId of frontier) {
+                for (const { refId } of this.getPackageRefs(pkgId)) {
+                    if (seen.has(refId)) continue;
+                    seen.add(refId);
+                    out.push({ id: refId, depth, via: pkgId });
+                    next.push(refId);
+                }
+            }
+            frontier = next;
+        }
+        return out;
+    }
+
+    /** Packages containing an asset, directly or through other packages. */
+    getContainingPackages(assetId) {
+        const out = [];
+        const seen = new Set([assetId]);
+        let frontier = [assetId];
+        while (frontier.length) {
+            const next = [];
+            for (const id of frontier) {
+                for (const pkgId of this.containedIn.get(id) || []) {
+                    if (seen.has(pkgId)) continue;
+                    seen.add(pkgId);
+                    out.push(pkgId);
+                    next.push(pkgId);
+                }
+            }
+            frontier = next;
+        }
+        return out;
+    }
+
+    /**
+     * Cycles in the package graph, each a list of package ids starting at
+     * the smallest id: `a → b → a` is `['a', 'b']`.
+     */
+    findPackageCycles() {
+        const cycles = new Map();   // normalized key -> cycle
+        const state = new Map();    // id -> 'active' | 'done'
+        const stack = [];
+
+        const visit = (id) => {
+            state.set(id, 'active');
+            stack.push(id);
+            for (const { refId } of this.getPackageRefs(id)) {
+                if (state.get(refId) === 'active') {
+                    const cycle = stack.slice(stack.indexOf(refId));
+                    const start = cycle.indexOf([...cycle].sort()[0]);
+                    const normalized = [...cycle.slice(start), ...cycle.slice(0, start)];
+                    cycles.set(normalized.join(' → '), normalized);
+                } else if (!state.has(refId)) {
+                    visit(refId);
+                }
+            }
+            stack.pop();
+            state.set(id, 'done');
+        };
+
+        for (const owner of this.owners) {
+            for (const asset of owner.inventory) {
+                if (asset.type === AssetType.PACKAGE && !state.has(asset.id)) visit(asset.id);
+            }
+        }
+        return [...cycles.values()];
+    }
+
+    _reportPackageCycles(data) {
+        const paths = new Map();
+        asArray(data && data.owners).forEach((o, oi) => {
+            if (!isObject(o)) return;
+            asArray(o.inventory).forEach((a, ai) => {
+                if (isObject(a) && !paths.has(a.id)) paths.set(a.id, `$.owners[${oi}].inventory[${ai}].contents`);
+            });
+        });
+        for (const cycle of this.findPackageCycles()) {
+            this.diagnostics.push({
+                severity: 'warning',
+                path: paths.get(cycle[0]) || '$',
+                message: `Package cycle: ${[...cycle, cycle[0]].join(' → ')}`,
+                id: cycle[0],
+            });
+        }
+    }
+
+    // =========================================================================
+    // Permissions
+    // =========================================================================
+    // Assets may carry `access` (see AccessLevel) and, when shared,
+    // `sharedWith` (group ids). Assets without their own `access` inherit
+    // their owner's; owners default to private. An owner may always use its
+    // own assets. References are checked on demand rather than while
+    // loading, since an instance can point at an asset of an owner that
+    // loads later, and edits change the answer.
+
+    /** Effective sharing of an owner or asset: `{ access, sharedWith }`. */
+    getAccess(node) {
+        const source = node.kind === 'owner' || node.access ? node : (this.get(node.ownerId) || {});
+        return { access: source.access || 'private', sharedWith: asArray(source.sharedWith) };
+    }
+
+    /** Whether `ownerId` may reference `assetId`. Missing assets are not a permission problem. */
+    canUse(ownerId, assetId) {
+        const asset = this.get(assetId);
+        if (!asset || asset.kind !== 'asset' || asset.ownerId === ownerId) return true;
+        const { access, sharedWith } = this.getAccess(asset);
+        return access === 'public' || (access === 'shared' && sharedWith.includes(ownerId));
+    }
+
+    /**
+     * References that the target asset's sharing does not allow, made by
+     * one owner or anyone: `[{ instance, place, package, field, asset, userId }]`.
+     * Place instances have `place` set; package contents have `package`.
+     */
+    getViolations(ownerId = null) {
+        const owners = ownerId ? [this.get(ownerId)].filter(Boolean) : this.owners;
+        const out = [];
+        const check = (userId, instance, field, place, pkg) => {
+            const refId = parseRef(instance[field]).id;
+            if (refId && !this.canUse(userId, refId)) {
+                out.push({ instance, place, package: pkg, field, asset: this.get(refId), userId });
+            }
+        };
+
+        for (const owner of owners) {
+            for (const game of owner.games) {
+                for (const place of game.places) {
+                    for (const instance of place.instances) {
+                        for (const field of REF_FIELDS) check(owner.id, instance, field, place, null);
+                    }
+                }
+            }
+            for (const asset of owner.inventory) {
+                for (const { instance, field } of this.getPackageRefs(asset.id)) check(owner.id, instance, field, null, asset);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * The World as a node-link graph for the reference graph window:
+     * `{ nodes: [{ id, kind, name, node }], edges: [[fromId, toId]] }` with
+     * owner → game → place → instance → asset edges plus package → content
+     * edges between assets. Only instances that reference an asset are
+     * included. `ownerId` keeps one owner's games and inventory (and any
+     * asset its places use); `assetType` keeps one type of asset.
+     */
+    getReferenceGraph({ ownerId = null, assetType = null } = {}) {
+        const nodes = new Map();
+        const edges = [];
+        const add = (node, kind) => {
+            if (!nodes.has(node.id)) nodes.set(node.id, { id: node.id, kind, name: node.name || node.id, node });
+        };
+        const keepAsset = (asset) => asset && asset.kind === 'asset' && (!assetType || asset.type === assetType);
+
+        const owners = ownerId ? [this.get(ownerId)].filter(Boolean) : this.owners;
+        for (const owner of owners) {
+            add(owner, 'owner');
+            for (const asset of owner.inventory) {
+                if (keepAsset(asset)) add(asset, 'asset');
+            }
+            for (const game of owner.games) {
+                add(game, 'game');
+                edges.push([owner.id, game.id]);
+                for (const place of game.places) {
+                    add(place, 'place');
+                    edges.push([game.id, place.id]);
+                    for (const inst of place.instances) {
+                        const targets = new Set(REF_FIELDS.map(f => inst[f] && this.get(inst[f])).filter(keepAsset));
+                        if (targets.size === 0) continue;
+                        add(inst, 'instance');
+                        edges.push([place.id, inst.id]);
+                        for (const asset of targets) {
+                            add(asset, 'asset');
+                            edges.push([inst.id, asset.id]);
+                        }
+                    }
+                }
+            }
+        }
+        for (const n of [...nodes.values()]) {
+            if (n.kind !== 'asset') continue;
+            for (const refId of new Set(this.getPackageRefs(n.id).map(r => r.refId))) {
+                if (nodes.has(refId)) edges.push([n.id, refId]);
+            }
+        }
+        return { nodes: [...nodes.values()], edges };
+    }
+
+    /**
+     * Inventory audit for one owner, or the whole World when `ownerId` is
+     * omitted. `unused` lists inventory assets nothing references, directly
+     * or through a used package; `broken` lists references whose target ID
+     * does not exist, from place instances (`place` set) and from package
+     * contents (`package` set instead); `violations` lists references that
+     * break sharing (see `getViolations`).
+     */
+    audit(ownerId = null) {
+        const owners = ownerId ? [this.get(ownerId)].filter(Boolean) : this.owners;
+        const unused = [];
+        const broken = [];
+
+        for (const owner of owners) {
+            for (const asset of owner.inventory) {
+                if (this.getUsages(asset.id, { indirect: true }).length === 0) unused.push(asset);
+                for (const { refId, field, instance } of this.getPackageRefs(asset.id)) {
+                    if (!this.byId.has(refId)) broken.push({ instance, place: null, package: asset, field, refId });
+                }
+            }
+            for (const game of owner.games) {
+                for (const place of game.places) {
+                    for (const instance of place.instances) {
+                        for (const field of REF_FIELDS) {
+                            const refId = instance[field];
+                            if (refId && !this.byId.has(refId)) broken.push({ instance, place, package: null, field, refId });
+                        }
+                    }
+                }
+            }
+        }
+        return { ownerId, unused, broken, violations: this.getViolations(ownerId) };
+    }
+
+    // =========================================================================
+    // Duplicates
+    // =========================================================================
+
+    /**
+     * Groups of inventory assets that look like copies of each other:
+     * `[{ assets, reasons }]`. `reasons` holds 'name' when assets share a
+     * type and normalized name (see `normalizeAssetName`) and 'content' when
+     * they share a content key (see `_contentKey`). Groups and the assets in
+     * them keep inventory order.
+     */
+    findDuplicates() {
+        const assets = this.owners.flatMap(o => o.inventory);
+        const root = new Map(assets.map(a => [a.id, a.id]));
+        const find = (id) => {
+            while (root.get(id) !== id) id = root.get(id);
+            return id;
+        };
+        const reasons = new Map();      // asset id -> Set of reasons
+
+        const buckets = new Map();      // "reason|key" -> [asset]
+        const put = (reason, key, asset) => {
+            const bucket = `${reason}|${asset.type}|${key}`;
+            if (!buckets.has(bucket)) buckets.set(bucket, []);
+            buckets.get(bucket).push(asset);
+        };
+        for (const asset of assets) {
+            put('name', normalizeAssetName(asset.name, asset.ownerId), asset);
+            const content = this._contentKey(asset);
+            if (content) put('content', content, asset);
+        }
+        for (const [bucket, members] of buckets) {
+            if (members.length < 2) continue;
+            const reason = bucket.slice(0, bucket.indexOf('|'));
+            for (const asset of members) {
+                if (!reasons.has(asset.id)) reasons.set(asset.id, new Set());
+                reasons.get(asset.id).add(reason);
+                const a = find(asset.id), b = find(members[0].id);
+                if (a !== b) root.set(a, b);
+            }
+        }
+
+        const groups = new Map();       // root id -> group
+        for (const asset of assets) {
+            if (!reasons.has(asset.id)) continue;
+            const key = find(asset.id);
+            if (!groups.has(key)) groups.set(key, { assets: [], reasons: new Set() });
+            const group = groups.get(key);
+            group.assets.push(asset);
+            reasons.get(asset.id).forEach(r => group.reasons.add(r));
+        }
+        return [...groups.values()].map(g => ({ assets: g.assets, reasons: [...g.reasons] }));
+    }
+
+    // What identifies an asset's content, when anything does: a declared
+    // `hash`, an embedded file, a file path within one source, or a
+    // package's contents with instance ids left out
+    _contentKey(asset) {
+        if (typeof asset.hash === 'string' && asset.hash) return `hash:${asset.hash}`;
+        if (typeof asset.file === 'string' && asset.file) {
+            if (asset.file.startsWith('data:')) return `file:${asset.file}`;
+            return `file:${this.get(asset.ownerId).sourceId || ''}:${asset.file}`;
+        }
+        if (asset.type === AssetType.PACKAGE && asArray(asset.contents).length) {
+            return `contents:${JSON.stringify(asset.contents, (k, v) => (k === 'id' ? undefined : v))}`;
+        }
+        return null;
+    }
+
+    /**
+     * Fold duplicates into one canonical asset: every place instance and
+     * package content referencing one of `dropIds` is pointed at `keepId`
+     * (pins are dropped, since versions don't carry over), then the
+     * duplicates leave their inventories. All checks run first, so a bad
+     * id changes nothing. Returns what `unmergeAssets` needs to undo it.
+     * Listeners receive a single `{ type: 'update', ids }`.
+     */
+    mergeAssets(keepId, dropIds) {
+        const keep = this.get(keepId);
+        if (!keep || keep.kind !== 'asset') throw new Error(`No asset with id "${keepId}"`);
+        const drops = [...new Set(dropIds)].map(id => {
+            const asset = this.get(id);
+            if (!asset || asset.kind !== 'asset') throw new Error(`No asset with id "${id}"`);
+            if (asset === keep) throw new Error(`Can't merge "${id}" into itself`);
+            if (asset.type !== keep.type) throw new Error(`Can't merge ${asset.type} "${id}" into ${keep.type} "${keepId}"`);
+            return asset;
+        });
+        const dropped = new Set(drops.map(a => a.id));
+        const ids = new Set([keep.id, keep.ownerId]);
+        for (const asset of drops) this._assetIds(asset).forEach(id => ids.add(id));
+
+        const edits = drops.flatMap(asset => this.getUsages(asset.id).map(u => ({ id: u.instanceId, field: u.field, value: keep.id })));
+        const references = this._setReferences(edits, ids);
+
+        // Package contents are plain data; rewrite them as copies
+        const packages = [];
+        const repoint = (d) => {
+            if (!isObject(d)) return d;
+            const out = { ...d };
+            for (const field of REF_FIELDS) {
+                if (typeof d[field] === 'string' && dropped.has(parseRef(d[field]).id)) out[field] = keep.id;
+            }
+            if (Array.isArray(d.children)) out.children = d.children.map(repoint);
+            return out;
+        };
+        for (const pkg of this.owners.flatMap(o => o.inventory)) {
+            if (dropped.has(pkg.id) || !this.getPackageRefs(pkg.id).some(r => dropped.has(r.refId))) continue;
+            packages.push({ id: pkg.id, contents: pkg.contents });
+            this._unindexPackage(pkg);
+            pkg.contents = pkg.contents.map(repoint);
+            this._indexPackage(pkg);
+            ids.add(pkg.id);
+        }
+
+        const assets = drops.map(asset => {
+            const owner = this.get(asset.ownerId);
+            const restore = { ownerId: owner.id, index: owner.inventory.indexOf(asset), data: this.serializeAsset(asset) };
+            this._dropAsset(asset);
+            return restore;
+        });
+
+        this._emit({ type: 'update', ids: [...ids] });
+        return { keepId, references, packages, assets };
+    }
+
+    /** Undo `mergeAssets` with the record it returned. */
+    unmergeAssets({ keepId, references, packages, assets }) {
+        const ids = new Set([keepId]);
+        for (const { ownerId, index, data } of [...assets].reverse()) {
+            const owner = this.get(ownerId);
+            const asset = this._loadAsset(data, owner);
+            owner.inventory.splice(index, 0, asset);
+        }
+        for (const { id, contents } of packages) {
+            const pkg = this.get(id);
+            this._unindexPackage(pkg);
+            pkg.contents = contents;
+            this._indexPackage(pkg);
+        }
+        this._setReferences([...references].reverse(), ids);
+        for (const { data } of assets) this._assetIds(this.get(data.id)).forEach(id => ids.add(id));
+        this._emit({ type: 'update', ids: [...ids] });
+    }
+
+    // =========================================================================
+    // Statistics
+    // =========================================================================
+
+    /**
+     * Counts for the start page dashboard, computed from the World as it is
+     * now: `{ owners, totals, assets }`. Every owner, game and place entry
+     * carries `instances`, `byClass` ({ class: count }), `referencing`
+     * (instances that reference an inventory asset) and `crossOwner` (those
+     * referencing another owner's asset). Owner entries hold `owner`,
+     * `games` (`game`, `places`), `assets` and `assetsByType`; place entries
+     * hold `place`. `totals` adds up every owner, with `owners`, `games` and
+     * `places` counts. `assets` lists every inventory asset with its
+     * `direct` and `total` (through packages too) usage counts, most used
+     * first.
+     */
+    getStatistics() {
+        const totals = { ...emptyCounts(), owners: 0, games: 0, places: 0, assets: 0, assetsByType: {} };
+
+        const owners = this.owners.map(owner => {
+            const ownerStats = { owner, ...emptyCounts(), games: [], assets: owner.inventory.length, assetsByType: {} };
+            for (const game of owner.games) {
+                const gameStats = { game, ...emptyCounts(), places: [] };
+                for (const place of game.places) {
+                    const placeStats = { place, ...emptyCounts() };
+                    for (const instance of place.instances) {
+                        placeStats.instances++;
+                        placeStats.byClass[instance.class] = (placeStats.byClass[instance.class] || 0) + 1;
+                        const targets = this.getReferencedAssets(instance);
+                        if (targets.length) placeStats.referencing++;
+                        if (targets.some(a => a.ownerId !== instance.ownerId)) placeStats.crossOwner++;
+                    }
+                    gameStats.places.push(placeStats);
+                    addCounts(gameStats, placeStats);
+                }
+                ownerStats.games.push(gameStats);
+                addCounts(ownerStats, gameStats);
+                totals.places += game.places.length;
+            }
+            for (const asset of owner.inventory) {
+                ownerStats.assetsByType[asset.type] = (ownerStats.assetsByType[asset.type] || 0) + 1;
+                totals.assetsByType[asset.type] = (totals.assetsByType[asset.type] || 0) + 1;
+            }
+            addCounts(totals, ownerStats);
+            totals.owners++;
+            totals.games += owner.games.length;
+            totals.assets += owner.inventory.length;
+            return ownerStats;
+        });
+
+        const assets = this.owners.flatMap(o => o.inventory).map(asset => ({
+            asset,
+            direct: this.getUsages(asset.id).length,
+            total: this.getUsages(asset.id, { indirect: true }).length,
+        }));
+        assets.sort((a, b) => (b.total - a.total) || (b.direct - a.direct)
+            || (a.asset.name || a.asset.id).localeCompare(b.asset.name || b.asset.id));
+
+        return { owners, totals, assets };
+    }
+
+    /** Inventory assets an instance references, skipping missing ones. */
+    getReferencedAssets(instance) {
+        return REF_FIELDS.map(field => instance[field] && this.get(instance[field]))
+            .filter(node => node && node.kind === 'asset');
+    }
+}
+
+// Instance counts kept for every level of `getStatistics`
+function emptyCounts() {
+    return { instances: 0, byClass: {}, referencing: 0, crossOwner: 0 };
+}
+
+function addCounts(into, from) {
+    into.instances += from.instances;
+    into.referencing += from.referencing;
+    into.crossOwner += from.crossOwner;
+    for (const [cls, n] of Object.entries(from.byClass)) into.byClass[cls] = (into.byClass[cls] || 0) + n;
+}
+
+// Words that tell copies apart without changing what they are
+const DUPLICATE_NOISE_WORDS = ['copy', 'new', 'old', 'final', 'group', 'shared', 'common'];
+
+/**
+ * An asset name reduced for duplicate detection: lower case words without
+ * noise words, version or copy numbers ("v2", "(1)"), or words of the
+ * owner's id, so "Group Logo" of cool-group and "Logo" compare equal. A
+ * name made only of such words is kept whole.
+ */
+function normalizeAssetName(name, ownerId = '') {
+    const words = String(name || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    const ownerWords = new Set(String(ownerId).toLowerCase().split(/[^a-z0-9]+/));
+    const kept = words.filter(w => !DUPLICATE_NOISE_WORDS.includes(w) && !ownerWords.has(w) && !/^v?\d+$/.test(w));
+    return (kept.length ? kept : words).join(' ');
+}
+
+// =============================================================================
+// Validation
+// =============================================================================
+
+function isObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function asArray(v) {
+    return Array.isArray(v) ? v : [];
+}
+
+function isVector3(v) {
+    return Array.isArray(v) && v.length === 3 && v.every(n => typeof n === 'number' && Number.isFinite(n));
+}
+
+/**
+ * Check raw owners.json data against the shape the World expects.
+ * Returns a list of `{ severity, path, message, id }` problems, where `path`
+ * is a JSON path such as `$.owners[0].games[1].places[0].instances[3].size`
+ * and `id` is the offending node's id when it has one.
+ */
+function validateData(data) {
+    const problems = [];
+    const seen = new Map();     // id -> path of first definition
+
+    const report = (severity, path, message, id = null) => problems.push({ severity, path, message, id });
+
+    function checkNode(d, path, label, required) {
+        if (!isObject(d)) {
+            report('error', path, `${label} must be an object`);
+            return false;
+        }
+        for (const field of required) {
+            if (d[field] === undefined || d[field] === null || d[field] === '') {
+                report('error', `${path}.${field}`, `${label} is missing required field "${field}"`, d.id || null);
+            }
+        }
+        if (d.id === undefined) return false;
+        if (typeof d.id !== 'string' || !d.id) {
+            report('error', `${path}.id`, `${label} id must be a non-empty string`);
+            return false;
+        }
+        if (seen.has(d.id)) {
+            report('error', `${path}.id`, `Duplicate id "${d.id}" (first defined at ${seen.get(d.id)}); this ${label.toLowerCase()} was skipped`, d.id);
+            return false;
+        }
+        seen.set(d.id, path);
+        return true;
+    }
+
+    function checkArray(d, field, path, label, required) {
+        if (d[field] === undefined) {
+            if (required) report('error', `${path}.${field}`, `${label} is missing required array "${field}"`, d.id || null);
+            return [];
+        }
+        if (!Array.isArray(d[field])) {
+            report('error', `${path}.${field}`, `"${field}" must be an array`, d.id || null);
+            return [];
+        }
+        return d[field];
+    }
+
+    function checkInstance(d, path) {
+        if (!checkNode(d, path, 'Instance', ['id', 'class', 'name'])) return;
+        if (typeof d.class === 'string' && !InstanceClass.includes(d.class)) {
+            report('warning', `${path}.class`, `Unknown instance class "${d.class}"`, d.id);
+        }
+        for (const field of ['size', 'position', 'color']) {
+            if (d[field] === undefined) continue;
+            if (!isVector3(d[field])) {
+                report('error', `${path}.${field}`, `"${field}" must be an array of three numbers`, d.id);
+            } else if (field === 'color' && d.color.some(c => c < 0 || c > 1)) {
+                report('warning', `${path}.color`, 'Color components should be between 0 and 1', d.id);
+            }
+        }
+        for (const field of [...REF_FIELDS, 'parentId']) {
+            if (d[field] !== undefined && d[field] !== null && typeof d[field] !== 'string') {
+                report('error', `${path}.${field}`, `"${field}" must be a string id`, d.id);
+            }
+        }
+        for (const field of REF_FIELDS) {
+            if (typeof d[field] !== 'string' || !d[field].includes('@')) continue;
+            const { id, version } = parseRef(d[field]);
+            if (version) pins.push({ path: `${path}.${field}`, id, version, instanceId: d.id });
+            else report('warning', `${path}.${field}`, `"${d[field]}" has an "@" but no valid version number; it is read as an id`, d.id);
+        }
+        checkArray(d, 'children', path, 'Instance', false)
+            .forEach((c, i) => checkInstance(c, `${path}.children[${i}]`));
+    }
+
+    // Pins are checked once every asset's versions are known
+    const pins = [];                // [{ path, id, version, instanceId }]
+    const assetVersions = new Map(); // asset id -> Set of version numbers
+
+    function checkVersions(a, path) {
+        const numbers = new Set();
+        checkArray(a, 'versions', path, 'Asset', false).forEach((v, vi) => {
+            const vp = `${path}.versions[${vi}]`;
+            if (!isObject(v)) {
+                report('error', vp, 'Version must be an object', a.id);
+                return;
+            }
+            if (!Number.isInteger(v.version) || v.version < 1) {
+                report('error', `${vp}.version`, 'Version number must be a positive whole number', a.id);
+            } else if (numbers.has(v.version)) {
+                report('error', `${vp}.version`, `Duplicate version ${v.version}`, a.id);
+            } else {
+                numbers.add(v.version);
+            }
+            if (v.date !== undefined && (typeof v.date !== 'string' || Number.isNaN(Date.parse(v.date)))) {
+                report('warning', `${vp}.date`, `"${v.date}" is not a date`, a.id);
+            }
+        });
+        assetVersions.set(a.id, numbers);
+    }
+
+    // `sharedWith` may only name groups, which can be declared after their use
+    const ownerTypes = new Map(asArray(isObject(data) && data.owners)
+        .filter(isObject).map(o => [o.id, o.type]));
+
+    function checkAccess(d, path) {
+        if (d.access !== undefined && !AccessLevel.includes(d.access)) {
+            report('error', `${path}.access`, `Unknown access "${d.access}" (expected ${AccessLevel.join(', ')})`, d.id);
+        }
+        if (d.sharedWith === undefined) return;
+        if (d.access !== 'shared') {
+            report('warning', `${path}.sharedWith`, '"sharedWith" is ignored unless access is "shared"', d.id);
+        }
+        checkArray(d, 'sharedWith', path, 'Node', false).forEach((id, i) => {
+            if (ownerTypes.get(id) !== 'group') {
+                report('warning', `${path}.sharedWith[${i}]`, `"${id}" is not a group`, d.id);
+            }
+        });
+    }
+
+    if (!isObject(data)) {
+        report('error', '$', 'Data must be a JSON object with an "owners" array');
+        return problems;
+    }
+    checkArray(data, 'owners', '$', 'Root', true).forEach((o, oi) => {
+        const op = `$.owners[${oi}]`;
+        if (!checkNode(o, op, 'Owner', ['id', 'type'])) return;
+        if (o.type !== undefined && !OwnerType.includes(o.type)) {
+            report('error', `${op}.type`, `Unknown owner type "${o.type}" (expected ${OwnerType.join(' or ')})`, o.id);
+        }
+        checkAccess(o, op);
+        checkArray(o, 'games', op, 'Owner', true).forEach((g, gi) => {
+            const gp = `${op}.games[${gi}]`;
+            if (!checkNode(g, gp, 'Game', ['id', 'name'])) return;
+            checkArray(g, 'places', gp, 'Game', true).forEach((p, pi) => {
+                const pp = `${gp}.places[${pi}]`;
+                if (!checkNode(p, pp, 'Place', ['id', 'name'])) return;
+                checkArray(p, 'instances', pp, 'Place', false)
+                    .forEach((inst, ii) => checkInstance(inst, `${pp}.instances[${ii}]`));
+            });
+        });
+        checkArray(o, 'inventory', op, 'Owner', false).forEach((a, ai) => {
+            const ap = `${op}.inventory[${ai}]`;
+            if (!checkNode(a, ap, 'Asset', ['id', 'type', 'name'])) return;
+            if (a.type !== undefined && !Object.values(AssetType).includes(a.type)) {
+                report('error', `${ap}.type`, `Unknown asset type "${a.type}"`, a.id);
+            }
+            checkAccess(a, ap);
+            if (a.contents !== undefined && a.type !== AssetType.PACKAGE) {
+                report('warning', `${ap}.contents`, 'Only packages can have contents; they are ignored', a.id);
+            }
+            if (a.file !== undefined && (typeof a.file !== 'string' || !a.file)) {
+                report('error', `${ap}.file`, 'Asset file must be a path or data URI', a.id);
+            } else if (a.file !== undefined && !MEDIA_TYPES.includes(a.type)) {
+                report('warning', `${ap}.file`, `Only ${MEDIA_TYPES.join(' and ')} assets are previewed; the file is ignored`, a.id);
+            }
+            if (a.hash !== undefined && (typeof a.hash !== 'string' || !a.hash)) {
+                report('error', `${ap}.hash`, 'Asset hash must be a non-empty string', a.id);
+            }
+            checkVersions(a, ap);
+            checkArray(a, 'contents', ap, 'Asset', false)
+                .forEach((inst, ii) => checkInstance(inst, `${ap}.contents[${ii}]`));
+        });
+    });
+    // Assets defined elsewhere (another source) can't be checked here
+    for (const { path, id, version, instanceId } of pins) {
+        const numbers = assetVersions.get(id);
+        if (!numbers) continue;
+        if (numbers.size === 0) report('warning', path, `"${id}" has no versions; the pin to version ${version} is ignored`, instanceId);
+        else if (!numbers.has(version)) report('warning', path, `"${id}" has no version ${version}`, instanceId);
+    }
+    return problems;
 }
 
 // =============================================================================
-// Load
+// Diff
 // =============================================================================
 
-async function loadWorld() {
-    const resp = await fetch('../data/owners.json');
-    const data = await resp.json();
-    return new World(data);
+// One flat record per node of owners.json-shaped data, keyed by id. Parent
+// links are made explicit so nested `children` and flat `parentId` compare
+// equal. The first definition of a duplicated id wins, as when loading.
+function flattenData(data) {
+    const nodes = new Map();
+    const put = (kind, record) => {
+        if (typeof record.id === 'string' && !nodes.has(record.id)) nodes.set(record.id, { kind, record });
+    };
+    const walkInstance = (d, placeId, parentId) => {
+        if (!isObject(d)) return;
+        const { children, ...fields } = d;
+        put('instance', { ...fields, placeId, parentId: parentId || d.parentId || null });
+        for (const child of asArray(children)) walkInstance(child, placeId, d.id);
+    };
+
+    for (const o of asArray(data && data.owners)) {
+        if (!isObject(o)) continue;
+        put('owner', { id: o.id, type: o.type, access: o.access, sharedWith: o.sharedWith });
+        for (const g of asArray(o.games)) {
+            if (!isObject(g)) continue;
+            put('game', { id: g.id, name: g.name, ownerId: o.id });
+            for (const p of asArray(g.places)) {
+                if (!isObject(p)) continue;
+                put('place', { id: p.id, name: p.name, gameId: g.id });
+                for (const inst of asArray(p.instances)) walkInstance(inst, p.id, null);
+            }
+        }
+        for (const a of asArray(o.inventory)) {
+            if (isObject(a)) put('asset', { ...a, ownerId: o.id });
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Structured diff between two owners.json-shaped documents:
+ * `{ added, removed, changed }`, each a list of `{ id, kind, record }`;
+ * changed entries also list `fields: [{ field, before, after }]`.
+ */
+function diffData(before, after) {
+    const a = flattenData(before), b = flattenData(after);
+    const added = [], removed = [], changed = [];
+
+    for (const [id, node] of b) {
+        if (!a.has(id)) added.push({ id, ...node });
+    }
+    for (const [id, old] of a) {
+        const cur = b.get(id);
+        if (!cur) {
+            removed.push({ id, ...old });
+            continue;
+        }
+        const keys = new Set([...Object.keys(old.record), ...Object.keys(cur.record)]);
+        const fields = [];
+        for (const field of keys) {
+            const x = old.record[field] ?? null, y = cur.record[field] ?? null;
+            if (JSON.stringify(x) !== JSON.stringify(y)) fields.push({ field, before: x, after: y });
+        }
+        if (fields.length) changed.push({ id, kind: cur.kind, record: cur.record, fields });
+    }
+    return { added, removed, changed };
+}
+
+/**
+ * Apply a change-feed event (see `World.applyEvent`) to owners.json data in
+ * place. Events for nodes the data doesn't have are ignored.
+ */
+function patchData(data, event) {
+    if (!isObject(data)) return;
+    const index = new Map();        // id -> { node, kind, list }
+    const put = (list, kind, recurse) => {
+        if (!Array.isArray(list)) return;
+        for (const d of list) {
+            if (!isObject(d) || index.has(d.id)) continue;
+            index.set(d.id, { node: d, kind, list });
+            recurse(d);
+        }
+    };
+    const instance = (d) => put(d.children, 'instance', instance);
+    put(data.owners, 'owner', (o) => {
+        put(o.games, 'game', g => put(g.places, 'place', p => put(p.instances, 'instance', instance)));
+        put(o.inventory, 'asset', () => {});
+    });
+
+    const copy = (v) => JSON.parse(JSON.stringify(v));
+    const entry = index.get(event.type === 'add' ? event.parentId : event.id);
+    switch (event.type) {
+        case 'add': {
+            const parent = event.kind === 'owner' ? data : entry && entry.node;
+            if (!parent) return;
+            const key = { owner: 'owners', game: 'games', asset: 'inventory', place: 'places' }[event.kind]
+                || (entry.kind === 'place' ? 'instances' : 'children');
+            if (!Array.isArray(parent[key])) parent[key] = [];
+            parent[key].splice(event.index ?? parent[key].length, 0, copy(event.data));
+            break;
+        }
+        case 'update':
+            if (!entry) return;
+            for (const [field, value] of Object.entries(event.fields)) {
+                if (value === null) delete entry.node[field];
+                else entry.node[field] = copy(value);
+            }
+            break;
+        case 'remove':
+            if (entry) entry.list.splice(entry.list.indexOf(entry.node), 1);
+            break;
+    }
+}
+
+// =============================================================================
+// Search helpers
+// =============================================================================
+
+const KIND_RANK = { owner: 0, game: 1, place: 2, asset: 3, instance: 4 };
+
+const SEARCH_FILTERS = ['type', 'class', 'owner', 'kind', 'game', 'place', 'refs'];
+
+function parseSearchQuery(query) {
+    const filters = {};
+    const words = [];
+    for (const token of query.trim().split(/\s+/).filter(Boolean)) {
+        const m = token.match(/^(\w+):(.*)$/);
+        if (m && SEARCH_FILTERS.includes(m[1].toLowerCase())) {
+            filters[m[1].toLowerCase()] = m[2].toLowerCase();
+        } else {
+            words.push(token);
+        }
+    }
+    return { text: words.join(' ').toLowerCase(), filters };
+}
+
+function matchesFilters(node, filters, world) {
+    if (filters.kind && node.kind !== filters.kind) return false;
+    // `type:` covers asset types, owner types (account/group) and node kinds
+    if (filters.type && node.type !== filters.type && node.kind !== filters.type) return false;
+    if (filters.class && (node.class || '').toLowerCase() !== filters.class) return false;
+    if (filters.owner) {
+        const ownerId = node.kind === 'owner' ? node.id : node.ownerId;
+        if ((ownerId || '').toLowerCase() !== filters.owner) return false;
+    }
+    if (filters.game) {
+        const gameId = node.kind === 'game' ? node.id : node.gameId;
+        if ((gameId || '').toLowerCase() !== filters.game) return false;
+    }
+    if (filters.place) {
+        const placeId = node.kind === 'place' ? node.id : node.placeId;
+        if ((placeId || '').toLowerCase() !== filters.place) return false;
+    }
+    // `refs:` only matches instances: inventory (any asset), other (another
+    // owner's asset) or none
+    if (filters.refs) {
+        if (node.kind !== 'instance') return false;
+        const targets = world.getReferencedAssets(node);
+        const match = filters.refs === 'inventory' ? targets.length > 0
+            : filters.refs === 'other' ? targets.some(a => a.ownerId !== node.ownerId)
+            : filters.refs === 'none' ? targets.length === 0
+            : false;
+        if (!match) return false;
+    }
+    return true;
+}
+
+/**
+ * Subsequence match of `needle` in `haystack`. Returns 0 when not all
+ * characters are found; otherwise higher is better (exact and prefix
+ * matches, consecutive runs and word starts all score extra).
+ */
+function fuzzyScore(needle, haystack) {
+    const h = haystack.toLowerCase();
+    if (!needle) return 1;
+    if (h === needle) return 1000;
+    if (h.startsWith(needle)) return 500 - h.length;
+    const sub = h.indexOf(needle);
+    if (sub !== -1) return 300 - sub - h.length;
+
+    let score = 0, hi = 0, run = 0;
+    for (const ch of needle) {
+        if (ch === ' ') continue;
+        const found = h.indexOf(ch, hi);
+        if (found === -1) return 0;
+        run = found === hi ? run + 1 : 0;
+        const wordStart = found === 0 || /[\s_\-/.]/.test(h[found - 1]) || haystack[found] !== h[found];
+        score += 10 + run * 5 + (wordStart ? 8 : 0);
+        hi = found + 1;
+    }
+    return Math.max(1, score - h.length);
+}
+
+/** Indices of `needle`'s characters within `haystack` (for highlighting). */
+function fuzzyMatchIndices(needle, haystack) {
+    const h = haystack.toLowerCase();
+    const sub = needle ? h.indexOf(needle) : -1;
+    if (sub !== -1) return Array.from({ length: needle.length }, (_, i) => sub + i);
+    const out = [];
+    let hi = 0;
+    for (const ch of needle) {
+        if (ch === ' ') continue;
+        const found = h.indexOf(ch, hi);
+        if (found === -1) return [];
+        out.push(found);
+        hi = found + 1;
+    }
+    return out;
+}
+
+// =============================================================================
+// Fixtures
+// =============================================================================
+
+const FIXTURE_NAMES = ['Tree', 'Rock', 'Wall', 'Lamp', 'Crate', 'Fence', 'Bush', 'Barrel', 'Sign', 'Pillar', 'Bench', 'Door'];
+const FIXTURE_GROUPS = ['Scenery', 'Props', 'Buildings', 'Lighting', 'Decor', 'Structures'];
+
+/**
+ * Synthetic owners.json data for trying the explorer on a very large
+ * world: `instances` instances spread evenly over the places, grouped in
+ * nested Models and Folders, referencing each owner's inventory. The same
+ * options always produce the same data.
+ */
+function generateFixture({ instances = 100000, owners = 10, gamesPerOwner = 2, placesPerGame = 5, seed = 1 } = {}) {
+    let state = (seed >>> 0) || 1;
+    const random = () => {          // xorshift32
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return (state >>> 0) / 4294967296;
+    };
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const vector = (scale) => [0, 0, 0].map(() => Math.round(random() * scale * 10) / 10);
+    const counters = {};
+    const id = (prefix) => `${prefix}${counters[prefix] = (counters[prefix] || 0) + 1}`;
+
+    const placeCount = owners * gamesPerOwner * placesPerGame;
+    const perType = Math.max(1, Math.ceil(instances / placeCount / 50));
+    let placeIndex = 0;
+
+    const data = { owners: [] };
+    for (let o = 1; o <= owners; o++) {
+        const type = o % 3 === 0 ? 'group' : 'account';
+        const owner = { id: `fx-${type}-${o}`, type, games: [], inventory: [] };
+        const ofType = {};
+        for (const assetType of [AssetType.MESH, AssetType.IMAGE, AssetType.AUDIO, AssetType.PACKAGE]) {
+            ofType[assetType] = [];
+            for (let k = 1; k <= perType; k++) {
+                const asset = { id: id(`fx-${assetType}`), type: assetType, name: `${pick(FIXTURE_NAMES)} ${assetType} ${k}` };
+                owner.inventory.push(asset);
+                ofType[assetType].push(asset.id);
+            }
+        }
+
+        const leaf = () => {
+            const inst = { id: id('fx-i'), class: 'Part', name: pick(FIXTURE_NAMES) };
+            const r = random();
+            if (r < 0.3) {
+                inst.class = 'MeshPart';
+                inst.meshId = pick(ofType.mesh);
+                if (random() < 0.5) inst.textureId = pick(ofType.image);
+            } else if (r < 0.4) {
+                inst.class = 'Decal';
+                inst.imageId = pick(ofType.image);
+            } else if (r < 0.43) {
+                inst.class = 'PackageLink';
+                inst.packageId = pick(ofType.package);
+            } else if (r < 0.48) {
+                inst.class = 'Script';
+            }
+            if (inst.class === 'Part' || inst.class === 'MeshPart') {
+                inst.size = vector(10).map(v => v + 1);
+                inst.position = vector(200).map(v => v - 100);
+                inst.color = vector(1);
+            }
+            return inst;
+        };
+
+        // Exactly `budget` instances, in groups up to three levels deep
+        const build = (budget, depth) => {
+            const out = [];
+            let used = 0;
+            while (used < budget) {
+                const left = budget - used;
+                if (depth < 3 && left > 1 && random() < (depth === 0 ? 0.5 : 0.15)) {
+                    const size = 1 + Math.floor(random() * Math.min(left - 1, 60));
+                    out.push({ id: id('fx-i'), class: pick(['Model', 'Folder']), name: pick(FIXTURE_GROUPS), children: build(size, depth + 1) });
+                    used += 1 + size;
+                } else {
+                    out.push(leaf());
+                    used++;
+                }
+            }
+            return out;
+        };
+
+        for (let g = 1; g <= gamesPerOwner; g++) {
+            const game = { id: id('fx-game'), name: `Game ${o}.${g}`, places: [] };
+            for (let p = 1; p <= placesPerGame; p++) {
+                const count = Math.floor((placeIndex + 1) * instances / placeCount) - Math.floor(placeIndex * instances / placeCount);
+                placeIndex++;
+                game.places.push({ id: id('fx-place'), name: `Place ${o}.${g}.${p}`, instances: build(count, 0) });
+            }
+            owner.games.push(game);
+        }
+        data.owners.push(owner);
+    }
+    return data;
+}
+
+// =============================================================================
+// Sources
+// =============================================================================
+
+/**
+ * Merge several owners.json documents into one, in order. `sources` is
+ * `[{ id, name, data, error }]`, where `error` marks a source that failed
+ * to load. Every owner is tagged with the `sourceId` it came from. A node
+ * whose id an earlier source already defines is a conflict and is dropped
+ * with its subtree. Returns `{ data, diagnostics }`; each source is
+ * validated on its own and its diagnostics carry `sourceId` and `source`
+ * (the name), plus `conflict: true` for conflicts.
+ */
+function mergeSources(sources) {
+    const owners = [];
+    const diagnostics = [];
+    const taken = new Map();        // id -> source that defined it first
+
+    for (const source of sources) {
+        const report = (problem) => diagnostics.push({ ...problem, sourceId: source.id, source: source.name });
+        if (source.error) {
+            report({ severity: 'error', path: '$', message: `Could not load ${source.name}: ${source.error}`, id: null });
+            continue;
+        }
+        validateData(source.data).forEach(report);
+
+        // Duplicates within one source are left to the World (and were
+        // reported above); only ids from earlier sources conflict
+        const keep = (d, path) => {
+            if (!isObject(d) || typeof d.id !== 'string') return true;
+            const first = taken.get(d.id);
+            if (first && first !== source) {
+                report({ severity: 'error', path, message: `Id "${d.id}" is already defined by ${first.name}; skipped here`, id: d.id, conflict: true });
+                return false;
+            }
+            taken.set(d.id, source);
+            return true;
+        };
+        const pick = (list, path, copy) => !Array.isArray(list) ? list
+            : list.flatMap((d, i) => keep(d, `${path}[${i}]`) ? [copy(d, `${path}[${i}]`)] : []);
+
+        const instance = (d, path) => isObject(d) && d.children !== undefined
+            ? { ...d, children: pick(d.children, `${path}.children`, instance) } : d;
+        const place = (d, path) => isObject(d)
+            ? { ...d, instances: pick(d.instances, `${path}.instances`, instance) } : d;
+        const game = (d, path) => isObject(d)
+            ? { ...d, places: pick(d.places, `${path}.places`, place) } : d;
+        const owner = (d, path) => isObject(d)
+            ? {
+                ...d,
+                sourceId: source.id,
+                games: pick(d.games, `${path}.games`, game),
+                inventory: pick(d.inventory, `${path}.inventory`, a => a),
+            }
+            : d;
+
+        owners.push(...asArray(pick(isObject(source.data) ? source.data.owners : undefined, '$.owners', owner)));
+    }
+    return { data: { owners }, diagnostics };
+}
+
+/** Fetch one owners.json document. Never throws: `{ data }` or `{ error }`. */
+async function fetchSource(url) {
+    try {
+        const resp = await fetch(url);
+        if (!resp.ok) throw new Error(`HTTP ${resp.status} ${resp.statusText}`);
+        return { data: await resp.json() };
+    } catch (err) {
+        return { error: err.message };
+    }
 }
 
-window.Model = { AssetType, ICONS, iconFor, World, loadWorld };
+window.Model = { AssetType, OwnerType, AccessLevel, InstanceClass, REF_FIELDS, REF_ASSET_TYPE, EDITABLE_FIELDS, MEDIA_TYPES, ICONS, iconFor, parseRef, formatRef, normalizeAssetName, World, validateData, diffData, patchData, parseSearchQuery, fuzzyMatchIndices, generateFixture, mergeSources, fetchSource };
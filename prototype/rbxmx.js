@@ -0,0 +1,159 @@
+/**
+ * Inventory Explorer - Roblox XML Import
+ *
+ * Parses .rbxmx (model) and .rbxlx (place) files locally with DOMParser and
+ * maps their <Item> tree onto owners.json instances: class, Name, Size,
+ * CFrame position, Color and the asset references (MeshId, TextureID,
+ * Texture, Image, PackageId). Classes the explorer doesn't know are mapped
+ * to a close equivalent, kept as Folders while they contain something the
+ * explorer can show (services in a place file, for instance), or dropped
+ * with a warning.
+ */
+
+// Roblox classes shown as one of the explorer's own classes
+const RBX_CLASS_MAP = {
+    WedgePart: 'Part',
+    CornerWedgePart: 'Part',
+    TrussPart: 'Part',
+    SpawnLocation: 'Part',
+    Seat: 'Part',
+    VehicleSeat: 'Part',
+    UnionOperation: 'Part',
+    ModuleScript: 'Script',
+    Texture: 'Decal',
+    ImageButton: 'ImageLabel',
+};
+
+// Content properties (lowercased name) and the reference field they fill
+const RBX_CONTENT_FIELDS = {
+    meshid: 'meshId',
+    textureid: 'textureId',
+    texture: 'imageId',
+    image: 'imageId',
+    packageid: 'packageId',
+};
+
+/**
+ * Parse a Roblox XML document into owners.json instances.
+ *
+ * Options:
+ *   newId()                       fresh instance id for each imported item
+ *   resolveAsset(assetId, url)    inventory id for a content reference, or
+ *                                 null to keep the content URL as-is
+ *
+ * Returns `{ instances, warnings }`. Throws when the text is not a Roblox
+ * XML document.
+ */
+function parseRbxXml(text, { newId, resolveAsset = () => null }) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const root = doc.documentElement;
+    if (doc.getElementsByTagName('parsererror').length || !root || root.nodeName !== 'roblox') {
+        throw new Error('not a Roblox XML file');
+    }
+
+    const skipped = new Map();      // Roblox class -> count of dropped items
+    let unresolved = 0;
+
+    const convertItem = (item) => {
+        const rbxClass = item.getAttribute('class');
+        const id = newId();         // taken before the children so ids follow document order
+        const props = readProperties(childElement(item, 'Properties'));
+        const children = childElements(item, 'Item').map(convertItem).filter(Boolean);
+
+        let cls = Model.InstanceClass.includes(rbxClass) ? rbxClass : RBX_CLASS_MAP[rbxClass];
+        if (!cls && children.length) cls = 'Folder';
+        if (!cls) {
+            skipped.set(rbxClass, (skipped.get(rbxClass) || 0) + 1);
+            return null;
+        }
+
+        const inst = { id, class: cls, name: props.name || rbxClass };
+        for (const field of ['size', 'position', 'color']) {
+            if (props[field]) inst[field] = props[field];
+        }
+        for (const [field, url] of Object.entries(props.refs)) {
+            const assetId = contentAssetId(url);
+            const resolved = resolveAsset(assetId, url);
+            if (!resolved) unresolved++;
+            inst[field] = resolved || url;
+        }
+        if (children.length) inst.children = children;
+        return inst;
+    };
+
+    const instances = childElements(root, 'Item').map(convertItem).filter(Boolean);
+
+    const warnings = [];
+    if (skipped.size) {
+        const list = [...skipped].map(([cls, n]) => `${n} ${cls}`).join(', ');
+        warnings.push(`Skipped items the explorer can't show: ${list}`);
+    }
+    if (unresolved) {
+        warnings.push(unresolved === 1
+            ? '1 asset reference matches no inventory asset'
+            : `${unresolved} asset references match no inventory asset`);
+    }
+    return { instances, warnings };
+}
+
+// Name, size, position, color and non-empty content references of an item
+function readProperties(propsEl) {
+    const props = { name: null, size: null, position: null, color: null, refs: {} };
+    for (const prop of propsEl ? Array.from(propsEl.children) : []) {
+        const name = (prop.getAttribute('name') || '').toLowerCase();
+        switch (prop.nodeName) {
+            case 'string':
+                if (name === 'name') props.name = prop.textContent;
+                break;
+            case 'Vector3':
+                if (name === 'size') props.size = readXYZ(prop);
+                break;
+            case 'CoordinateFrame':
+            case 'CFrame':
+                if (name === 'cframe') props.position = readXYZ(prop);
+                break;
+            case 'Color3uint8':
+                // Packed 0xAARRGGBB
+                if (name === 'color3uint8') {
+                    const n = Number(prop.textContent);
+                    props.color = [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(c => +(c / 255).toFixed(3));
+                }
+                break;
+            case 'Color3':
+                if (name === 'color' && !props.color) props.color = readNumbers(prop, ['R', 'G', 'B']);
+                break;
+            case 'Content': {
+                const field = RBX_CONTENT_FIELDS[name];
+                const url = (childElement(prop, 'url') || {}).textContent;
+                if (field && url && url.trim()) props.refs[field] = url.trim();
+                break;
+            }
+        }
+    }
+    return props;
+}
+
+function readXYZ(elem) {
+    return readNumbers(elem, ['X', 'Y', 'Z']);
+}
+
+function readNumbers(elem, tags) {
+    const values = tags.map(tag => Number((childElement(elem, tag) || {}).textContent));
+    return values.every(Number.isFinite) ? values : null;
+}
+
+/** Numeric asset id of a content URL (`rbxassetid://123`, `...asset/?id=123`), or null. */
+function contentAssetId(url) {
+    const m = url.match(/^rbxassetid:\/\/(\d+)$/i) || url.match(/[?&]id=(\d+)/i);
+    return m ? m[1] : null;
+}
+
+function childElement(parent, tag) {
+    return Array.from(parent.children).find(c => c.nodeName === tag) || null;
+}
+
+function childElements(parent, tag) {
+    return Array.from(parent.children).filter(c => c.nodeName === tag);
+}
+
+window.RbxImport = { parseRbxXml, contentAssetId };
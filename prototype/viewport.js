@@ -0,0 +1,428 @@
+/**
+ * Inventory Explorer - Viewport Renderer
+ *
+ * Draws a place's Parts and MeshParts as shaded boxes on a <canvas>, built
+ * from each instance's size, position and color. A small software
+ * rasterizer with a depth buffer keeps boxes and the ground grid correctly
+ * ordered, and an id buffer makes picking exact. The camera orbits (drag),
+ * pans (right-drag or shift-drag) and zooms (wheel) around a target point.
+ */
+
+const RENDERED_CLASSES = ['Part', 'MeshPart'];
+
+// Roblox-like defaults for instances that don't specify them
+const DEFAULT_SIZE = { Part: [4, 1, 2], MeshPart: [4, 4, 4] };
+const DEFAULT_COLOR = [0.64, 0.64, 0.65];
+
+const SELECT_COLOR = [0.36, 0.55, 0.94];
+const GRID_COLOR = [46, 56, 88];
+const AXIS_COLORS = [[224, 80, 80], [80, 200, 110], [80, 130, 240]];
+const SKY_TOP = [20, 26, 46];
+const SKY_BOTTOM = [38, 48, 84];
+
+const FOV = 50 * Math.PI / 180;
+const NEAR = 0.5;
+const LIGHT = normalize([0.4, 1, 0.6]);
+
+// Box corner i has x/y/z from max when bit 0/1/2 is set. Each face lists its
+// outward normal and four corners in loop order.
+const FACES = [
+    { n: [-1, 0, 0], c: [0, 2, 6, 4] },
+    { n: [1, 0, 0], c: [1, 3, 7, 5] },
+    { n: [0, -1, 0], c: [0, 1, 5, 4] },
+    { n: [0, 1, 0], c: [2, 3, 7, 6] },
+    { n: [0, 0, -1], c: [0, 1, 3, 2] },
+    { n: [0, 0, 1], c: [4, 5, 7, 6] },
+];
+
+const EDGES = [[0, 1], [2, 3], [4, 5], [6, 7], [0, 2], [1, 3], [4, 6], [5, 7], [0, 4], [1, 5], [2, 6], [3, 7]];
+
+// ─── Vector helpers ─────────────────────────────────────────────────────────
+
+function add(a, b) { return [a[0] + b[0], a[1] + b[1], a[2] + b[2]]; }
+function sub(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+function scale(a, s) { return [a[0] * s, a[1] * s, a[2] * s]; }
+function dot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+function cross(a, b) { return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]; }
+function normalize(a) { const l = Math.hypot(a[0], a[1], a[2]) || 1; return [a[0] / l, a[1] / l, a[2] / l]; }
+
+function packColor(r, g, b) {
+    // ImageData is RGBA in memory; as little-endian uint32 that's ABGR
+    return ((255 << 24) | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+function niceStep(span) {
+    const pow = Math.pow(10, Math.floor(Math.log10(span)));
+    const m = span / pow;
+    return (m < 2 ? 1 : m < 5 ? 2 : 5) * pow;
+}
+
+// ─── Scene ──────────────────────────────────────────────────────────────────
+
+function boxesFor(instances) {
+    const boxes = [];
+    for (const inst of instances) {
+        if (!RENDERED_CLASSES.includes(inst.class)) continue;
+        const size = inst.size || DEFAULT_SIZE[inst.class];
+        const pos = inst.position || [0, 0, 0];
+        boxes.push({
+            id: inst.id,
+            name: inst.name,
+            min: pos.map((p, k) => p - size[k] / 2),
+            max: pos.map((p, k) => p + size[k] / 2),
+            color: inst.color || DEFAULT_COLOR,
+        });
+    }
+    return boxes;
+}
+
+function boxCorner(box, i) {
+    return [
+        i & 1 ? box.max[0] : box.min[0],
+        i & 2 ? box.max[1] : box.min[1],
+        i & 4 ? box.max[2] : box.min[2],
+    ];
+}
+
+function boundsOf(boxes) {
+    if (boxes.length === 0) return { min: [-10, 0, -10], max: [10, 0, 10] };
+    const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+    for (const b of boxes) {
+        for (let k = 0; k < 3; k++) {
+            min[k] = Math.min(min[k], b.min[k]);
+            max[k] = Math.max(max[k], b.max[k]);
+        }
+    }
+    return { min, max };
+}
+
+// ─── Viewport ───────────────────────────────────────────────────────────────
+
+/**
+ * Create a viewport inside `container`. `camera` is a plain object the
+ * viewport reads and writes ({ yaw, pitch, dist, target }), so callers can
+ * keep it across re-renders. `onPick(id | null)` fires on a click that
+ * didn't drag.
+ */
+function createViewport(container, { camera = {}, onPick = () => {} } = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'viewport-canvas';
+    canvas.tabIndex = 0;
+    container.appendChild(canvas);
+    const ctx = canvas.getContext('2d');
+
+    let boxes = [];
+    let selection = null;
+    let hover = null;
+    let W = 0, H = 0, dpr = 1;
+    let image = null, pixels = null, depth = null, ids = null;
+    let pending = false;
+
+    // ── Camera ──
+
+    function view() {
+        const { yaw, pitch, dist, target } = camera;
+        const eye = add(target, scale([Math.cos(pitch) * Math.sin(yaw), Math.sin(pitch), Math.cos(pitch) * Math.cos(yaw)], dist));
+        const f = normalize(sub(target, eye));
+        const r = normalize(cross(f, [0, 1, 0]));
+        const u = cross(r, f);
+        const focal = (H / 2) / Math.tan(FOV / 2);
+        return { eye, f, r, u, focal };
+    }
+
+    function toCamera(v, p) {
+        const d = sub(p, v.eye);
+        return [dot(d, v.r), dot(d, v.u), dot(d, v.f)];
+    }
+
+    function project(v, c) {
+        return { x: W / 2 + c[0] * v.focal / c[2], y: H / 2 - c[1] * v.focal / c[2], iz: 1 / c[2] };
+    }
+
+    function frame(id) {
+        const box = id && boxes.find(b => b.id === id);
+        const { min, max } = box || boundsOf(boxes);
+        const radius = Math.max(2, Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) / 2);
+        camera.target = scale(add(min, max), 0.5);
+        camera.dist = radius / Math.sin(FOV / 2) * 1.1;
+        if (camera.yaw === undefined) camera.yaw = Math.PI / 4;
+        if (camera.pitch === undefined) camera.pitch = Math.PI / 6;
+        invalidate();
+    }
+
+    // ── Rasterizing ──
+
+    function fillTriangle(a, b, c, color, id) {
+        const area = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+        if (area === 0) return;
+        const x0 = Math.max(0, Math.floor(Math.min(a.x, b.x, c.x)));
+        const x1 = Math.min(W - 1, Math.ceil(Math.max(a.x, b.x, c.x)));
+        const y0 = Math.max(0, Math.floor(Math.min(a.y, b.y, c.y)));
+        const y1 = Math.min(H - 1, Math.ceil(Math.max(a.y, b.y, c.y)));
+
+        for (let y = y0; y <= y1; y++) {
+            const py = y + 0.5;
+            for (let x = x0; x <= x1; x++) {
+                const px = x + 0.5;
+                const w0 = ((c.x - b.x) * (py - b.y) - (c.y - b.y) * (px - b.x)) / area;
+                const w1 = ((a.x - c.x) * (py - c.y) - (a.y - c.y) * (px - c.x)) / area;
+                const w2 = 1 - w0 - w1;
+                if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+                const iz = w0 * a.iz + w1 * b.iz + w2 * c.iz;
+                const idx = y * W + x;
+                if (iz > depth[idx]) {
+                    depth[idx] = iz;
+                    pixels[idx] = color;
+                    ids[idx] = id;
+                }
+            }
+        }
+    }
+
+    // Sutherland–Hodgman against the near plane, in camera space
+    function clipNear(poly) {
+        const out = [];
+        for (let i = 0; i < poly.length; i++) {
+            const p = poly[i], q = poly[(i + 1) % poly.length];
+            const pIn = p[2] >= NEAR, qIn = q[2] >= NEAR;
+            if (pIn) out.push(p);
+            if (pIn !== qIn) {
+                const t = (NEAR - p[2]) / (q[2] - p[2]);
+                out.push(add(p, scale(sub(q, p), t)));
+            }
+        }
+        return out;
+    }
+
+    function drawLine(v, from, to, rgb) {
+        const clipped = clipNear([toCamera(v, from), toCamera(v, to)]);
+        if (clipped.length < 2) return;
+        const a = project(v, clipped[0]), b = project(v, clipped[1]);
+        const steps = Math.ceil(Math.max(Math.abs(b.x - a.x), Math.abs(b.y - a.y)));
+        if (!Number.isFinite(steps) || steps > 20000) return;
+        const color = packColor(...rgb);
+        for (let i = 0; i <= steps; i++) {
+            const t = steps ? i / steps : 0;
+            const x = Math.floor(a.x + (b.x - a.x) * t);
+            const y = Math.floor(a.y + (b.y - a.y) * t);
+            if (x < 0 || y < 0 || x >= W || y >= H) continue;
+            const idx = y * W + x;
+            const iz = a.iz + (b.iz - a.iz) * t;
+            if (iz >= depth[idx]) {
+                depth[idx] = iz;
+                pixels[idx] = color;
+            }
+        }
+    }
+
+    function drawGrid(v) {
+        const { min, max } = boundsOf(boxes);
+        const reach = Math.max(20, ...min.map(Math.abs), ...max.map(Math.abs));
+        const step = niceStep(reach / 5);
+        const extent = Math.ceil(reach / step) * step + step;
+        for (let g = -extent; g <= extent; g += step) {
+            drawLine(v, [g, 0, -extent], [g, 0, extent], GRID_COLOR);
+            drawLine(v, [-extent, 0, g], [extent, 0, g], GRID_COLOR);
+        }
+        for (let k = 0; k < 3; k++) {
+            const tip = [0, 0, 0];
+            tip[k] = k === 1 ? step * 2 : extent;
+            drawLine(v, [0, 0, 0], tip, AXIS_COLORS[k]);
+        }
+    }
+
+    function drawBox(v, box, index) {
+        const world = Array.from({ length: 8 }, (_, i) => boxCorner(box, i));
+        const cam = world.map(p => toCamera(v, p));
+        const base = box.id === selection
+            ? box.color.map((c, k) => c * 0.4 + SELECT_COLOR[k] * 0.6)
+            : box.color;
+
+        for (const face of FACES) {
+            // Back-face cull: skip faces pointing away from the eye
+            if (dot(face.n, sub(v.eye, world[face.c[0]])) <= 0) continue;
+            const light = 0.45 + 0.55 * Math.max(0, dot(face.n, LIGHT));
+            const color = packColor(...base.map(c => Math.min(255, Math.round(c * light * 255))));
+            const poly = clipNear(face.c.map(i => cam[i]));
+            if (poly.length < 3) continue;
+            const pts = poly.map(c => project(v, c));
+            for (let i = 1; i < pts.length - 1; i++) fillTriangle(pts[0], pts[i], pts[i + 1], color, index + 1);
+        }
+    }
+
+    function render() {
+        pending = false;
+        if (!ctx || W === 0 || H === 0) return;
+        if (camera.target === undefined) frame(selection);
+
+        for (let y = 0; y < H; y++) {
+            const t = y / H;
+            const color = packColor(...SKY_TOP.map((c, k) => Math.round(c + (SKY_BOTTOM[k] - c) * t)));
+            pixels.fill(color, y * W, (y + 1) * W);
+        }
+        depth.fill(0);
+        ids.fill(0);
+
+        const v = view();
+        drawGrid(v);
+        boxes.forEach((box, i) => drawBox(v, box, i));
+        present(v);
+    }
+
+    // Blit the raster, then draw the selection outline and labels on top
+    function present(v = view()) {
+        ctx.putImageData(image, 0, 0);
+        for (const id of [hover, selection]) {
+            const box = id && boxes.find(b => b.id === id);
+            if (!box) continue;
+            const cam = Array.from({ length: 8 }, (_, i) => toCamera(v, boxCorner(box, i)));
+            if (id === selection) {
+                ctx.strokeStyle = 'rgba(91, 141, 239, 0.9)';
+                ctx.lineWidth = 1.5 * dpr;
+                ctx.beginPath();
+                for (const [i, j] of EDGES) {
+                    const seg = clipNear([cam[i], cam[j]]);
+                    if (seg.length < 2) continue;
+                    const a = project(v, seg[0]), b = project(v, seg[1]);
+                    ctx.moveTo(a.x, a.y);
+                    ctx.lineTo(b.x, b.y);
+                }
+                ctx.stroke();
+            }
+            const center = toCamera(v, scale(add(box.min, box.max), 0.5));
+            if (center[2] < NEAR) continue;
+            const p = project(v, center);
+            ctx.font = `${11 * dpr}px -apple-system, sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.fillStyle = id === selection ? '#fff' : 'rgba(255,255,255,0.75)';
+            ctx.fillText(box.name, p.x, p.y);
+        }
+    }
+
+    function invalidate() {
+        if (pending) return;
+        pending = true;
+        requestAnimationFrame(render);
+    }
+
+    function resize() {
+        if (!canvas.isConnected) {
+            if (observer) observer.disconnect();
+            return;
+        }
+        dpr = window.devicePixelRatio || 1;
+        W = Math.max(1, Math.round(canvas.clientWidth * dpr));
+        H = Math.max(1, Math.round(canvas.clientHeight * dpr));
+        if (!ctx || (canvas.width === W && canvas.height === H && image)) return invalidate();
+        canvas.width = W;
+        canvas.height = H;
+        image = ctx.createImageData(W, H);
+        pixels = new Uint32Array(image.data.buffer);
+        depth = new Float32Array(W * H);
+        ids = new Int32Array(W * H);
+        invalidate();
+    }
+
+    // ── Input ──
+
+    function boxAt(clientX, clientY) {
+        if (!ids) return null;
+        const rect = canvas.getBoundingClientRect();
+        const x = Math.floor((clientX - rect.left) * dpr), y = Math.floor((clientY - rect.top) * dpr);
+        if (x < 0 || y < 0 || x >= W || y >= H) return null;
+        const index = ids[y * W + x];
+        return index ? boxes[index - 1] : null;
+    }
+
+    let drag = null;
+
+    canvas.addEventListener('pointerdown', (e) => {
+        canvas.focus();
+        canvas.setPointerCapture(e.pointerId);
+        drag = { x: e.clientX, y: e.clientY, moved: false, pan: e.button === 2 || e.shiftKey, button: e.button };
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        if (!drag) {
+            const box = boxAt(e.clientX, e.clientY);
+            const id = box ? box.id : null;
+            canvas.style.cursor = id ? 'pointer' : 'grab';
+            if (id !== hover && image) {
+                hover = id;
+                present();
+            }
+            return;
+        }
+        const dx = e.clientX - drag.x, dy = e.clientY - drag.y;
+        drag.x = e.clientX;
+        drag.y = e.clientY;
+        if (Math.abs(dx) + Math.abs(dy) > 0) drag.moved = true;
+
+        if (drag.pan) {
+            const v = view();
+            const k = camera.dist * 0.0015;
+            camera.target = add(camera.target, add(scale(v.r, -dx * k), scale(v.u, dy * k)));
+        } else {
+            camera.yaw -= dx * 0.01;
+            camera.pitch = Math.max(-1.5, Math.min(1.5, camera.pitch + dy * 0.01));
+        }
+        invalidate();
+    });
+
+    canvas.addEventListener('pointerup', (e) => {
+        if (drag && !drag.moved && drag.button === 0) {
+            const box = boxAt(e.clientX, e.clientY);
+            onPick(box ? box.id : null);
+        }
+        drag = null;
+    });
+
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        camera.dist = Math.max(1, Math.min(20000, camera.dist * Math.exp(e.deltaY * 0.0015)));
+        invalidate();
+    }, { passive: false });
+
+    canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+    canvas.addEventListener('keydown', (e) => {
+        if (e.key === 'f' || e.key === 'F') frame(selection);
+    });
+
+    const observer = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(resize) : null;
+    if (observer) observer.observe(canvas);
+    requestAnimationFrame(resize);
+
+    // ── Public API ──
+
+    return {
+        canvas,
+
+        setInstances(instances) {
+            boxes = boxesFor(instances);
+            invalidate();
+        },
+
+        setSelection(id) {
+            selection = id;
+            invalidate();
+        },
+
+        /** Center the camera on a box (or the whole scene when id is null). */
+        frame,
+
+        /** Point on the ground plane (y = 0) under a client position, or null. */
+        screenToGround(clientX, clientY) {
+            if (!W || camera.target === undefined) return null;
+            const rect = canvas.getBoundingClientRect();
+            const sx = (clientX - rect.left) * dpr, sy = (clientY - rect.top) * dpr;
+            const v = view();
+            const dir = normalize(add(scale(v.f, v.focal), add(scale(v.r, sx - W / 2), scale(v.u, H / 2 - sy))));
+            if (dir[1] >= -1e-6) return null;
+            const t = -v.eye[1] / dir[1];
+            return add(v.eye, scale(dir, t));
+        },
+    };
+}
+
+window.Viewport = { RENDERED_CLASSES, createViewport };